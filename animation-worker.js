@@ -0,0 +1,522 @@
+﻿// Encodes slideshow frames into an animated GIF or APNG off the main thread.
+// The page renders each slide to RGBA pixels and sends them one at a time:
+//   { type: "start", format, width, height, quality }
+//   { type: "frame", pixels, delay }   (pixels is a transferred ArrayBuffer)
+//   { type: "finish" }
+// and gets back { type: "progress", frames } after every frame and finally
+// { type: "done", blob } or { type: "error", message }.
+
+import { crc32 } from "./zip.js";
+
+const GIF_QUALITY = {
+  fast: { sampleStep: 8, dither: false },
+  balanced: { sampleStep: 2, dither: false },
+  best: { sampleStep: 1, dither: true }
+};
+
+let encoder = null;
+
+function createByteWriter() {
+  let buffer = new Uint8Array(1 << 16);
+  let length = 0;
+  const ensure = extra => {
+    if (length + extra <= buffer.length) {
+      return;
+    }
+    let size = buffer.length * 2;
+    while (size < length + extra) {
+      size *= 2;
+    }
+    const next = new Uint8Array(size);
+    next.set(buffer.subarray(0, length));
+    buffer = next;
+  };
+  return {
+    byte(value) {
+      ensure(1);
+      buffer[length] = value;
+      length += 1;
+    },
+    u16(value) {
+      this.byte(value & 0xff);
+      this.byte((value >> 8) & 0xff);
+    },
+    bytes(values) {
+      ensure(values.length);
+      buffer.set(values, length);
+      length += values.length;
+    },
+    ascii(text) {
+      for (let i = 0; i < text.length; i += 1) {
+        this.byte(text.charCodeAt(i));
+      }
+    },
+    result() {
+      return buffer.slice(0, length);
+    }
+  };
+}
+
+// --- GIF ---------------------------------------------------------------------
+
+// Median cut over a 15-bit colour histogram of (sampled) pixels.
+function buildPalette(pixels, sampleStep) {
+  const histogram = new Uint32Array(32768);
+  for (let i = 0; i < pixels.length; i += 4 * sampleStep) {
+    histogram[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)] += 1;
+  }
+  const colors = [];
+  for (let key = 0; key < histogram.length; key += 1) {
+    if (histogram[key]) {
+      colors.push(key);
+    }
+  }
+
+  const channel = (key, shift) => (key >> shift) & 31;
+  const describe = box => {
+    let score = 0;
+    let widest = 0;
+    let widestRange = -1;
+    [10, 5, 0].forEach(shift => {
+      let min = 31;
+      let max = 0;
+      box.forEach(key => {
+        const value = channel(key, shift);
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      });
+      if (max - min > widestRange) {
+        widestRange = max - min;
+        widest = shift;
+      }
+    });
+    box.forEach(key => {
+      score += histogram[key];
+    });
+    return { colors: box, shift: widest, range: widestRange, score: score * widestRange };
+  };
+
+  const boxes = [describe(colors)];
+  while (boxes.length < 256) {
+    let target = -1;
+    boxes.forEach((box, index) => {
+      if (box.colors.length > 1 && box.range > 0 && (target === -1 || box.score > boxes[target].score)) {
+        target = index;
+      }
+    });
+    if (target === -1) {
+      break;
+    }
+    const { colors: boxColors, shift } = boxes[target];
+    boxColors.sort((a, b) => channel(a, shift) - channel(b, shift));
+    const half = boxColors.reduce((sum, key) => sum + histogram[key], 0) / 2;
+    let running = 0;
+    let split = 1;
+    for (; split < boxColors.length - 1; split += 1) {
+      running += histogram[boxColors[split - 1]];
+      if (running >= half) {
+        break;
+      }
+    }
+    boxes.splice(target, 1, describe(boxColors.slice(0, split)), describe(boxColors.slice(split)));
+  }
+
+  const palette = new Uint8Array(256 * 3);
+  boxes.forEach((box, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+    box.colors.forEach(key => {
+      const weight = histogram[key];
+      r += channel(key, 10) * weight;
+      g += channel(key, 5) * weight;
+      b += channel(key, 0) * weight;
+      count += weight;
+    });
+    palette[index * 3] = Math.round((r / count) * 8.2258);
+    palette[index * 3 + 1] = Math.round((g / count) * 8.2258);
+    palette[index * 3 + 2] = Math.round((b / count) * 8.2258);
+  });
+  return palette;
+}
+
+function mapToPalette(pixels, width, height, palette, dither) {
+  const cache = new Int16Array(32768).fill(-1);
+  const nearest = (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] !== -1) {
+      return cache[key];
+    }
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < 256; i += 1) {
+      const dr = palette[i * 3] - r;
+      const dg = palette[i * 3 + 1] - g;
+      const db = palette[i * 3 + 2] - b;
+      const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    cache[key] = best;
+    return best;
+  };
+
+  const indices = new Uint8Array(width * height);
+  if (!dither) {
+    for (let i = 0, p = 0; i < indices.length; i += 1, p += 4) {
+      indices[i] = nearest(pixels[p], pixels[p + 1], pixels[p + 2]);
+    }
+    return indices;
+  }
+
+  // Floyd-Steinberg error diffusion on a working copy.
+  const work = new Float32Array(width * height * 3);
+  for (let i = 0, p = 0; i < indices.length; i += 1, p += 4) {
+    work[i * 3] = pixels[p];
+    work[i * 3 + 1] = pixels[p + 1];
+    work[i * 3 + 2] = pixels[p + 2];
+  }
+  const clamp = value => (value < 0 ? 0 : value > 255 ? 255 : value | 0);
+  const spread = (x, y, er, eg, eb, factor) => {
+    if (x < 0 || x >= width || y >= height) {
+      return;
+    }
+    const o = (y * width + x) * 3;
+    work[o] += er * factor;
+    work[o + 1] += eg * factor;
+    work[o + 2] += eb * factor;
+  };
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const i = y * width + x;
+      const r = clamp(work[i * 3]);
+      const g = clamp(work[i * 3 + 1]);
+      const b = clamp(work[i * 3 + 2]);
+      const index = nearest(r, g, b);
+      indices[i] = index;
+      const er = r - palette[index * 3];
+      const eg = g - palette[index * 3 + 1];
+      const eb = b - palette[index * 3 + 2];
+      spread(x + 1, y, er, eg, eb, 7 / 16);
+      spread(x - 1, y + 1, er, eg, eb, 3 / 16);
+      spread(x, y + 1, er, eg, eb, 5 / 16);
+      spread(x + 1, y + 1, er, eg, eb, 1 / 16);
+    }
+  }
+  return indices;
+}
+
+function lzwEncode(indices, minCodeSize, out) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    if (blockLength) {
+      out.byte(blockLength);
+      out.bytes(block.subarray(0, blockLength));
+      blockLength = 0;
+    }
+  };
+  const emit = code => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLength] = bitBuffer & 0xff;
+      blockLength += 1;
+      if (blockLength === 255) {
+        flushBlock();
+      }
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(minCodeSize);
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i += 1) {
+    const value = indices[i];
+    const key = (prefix << 8) | value;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize += 1;
+      }
+      table.set(key, nextCode);
+      nextCode += 1;
+    }
+    prefix = value;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    block[blockLength] = bitBuffer & 0xff;
+    blockLength += 1;
+  }
+  flushBlock();
+  out.byte(0);
+}
+
+function createGifEncoder({ width, height, quality }) {
+  const settings = GIF_QUALITY[quality] || GIF_QUALITY.balanced;
+  const out = createByteWriter();
+  out.ascii("GIF89a");
+  out.u16(width);
+  out.u16(height);
+  out.byte(0x00);
+  out.byte(0);
+  out.byte(0);
+  // NETSCAPE2.0 application extension: loop forever.
+  out.bytes([0x21, 0xff, 0x0b]);
+  out.ascii("NETSCAPE2.0");
+  out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+  // GIF delays are whole centiseconds and most viewers treat anything below 2
+  // as 10, so round with a running remainder to keep the total length right.
+  let owed = 0;
+
+  return {
+    addFrame(pixels, delay) {
+      const palette = buildPalette(pixels, settings.sampleStep);
+      const indices = mapToPalette(pixels, width, height, palette, settings.dither);
+      owed += Math.max(20, delay) / 10;
+      const centiseconds = Math.max(2, Math.round(owed));
+      owed -= centiseconds;
+
+      out.bytes([0x21, 0xf9, 0x04, 0x04]);
+      out.u16(centiseconds);
+      out.bytes([0x00, 0x00]);
+
+      out.byte(0x2c);
+      out.u16(0);
+      out.u16(0);
+      out.u16(width);
+      out.u16(height);
+      out.byte(0x87);
+      out.bytes(palette);
+      lzwEncode(indices, 8, out);
+    },
+    finish() {
+      out.byte(0x3b);
+      return new Blob([out.result()], { type: "image/gif" });
+    }
+  };
+}
+
+// --- APNG --------------------------------------------------------------------
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i += 1) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// Picks the PNG filter with the smallest sum of absolute values for each row.
+function filterScanlines(pixels, width, height) {
+  const stride = width * 3;
+  const rgb = new Uint8Array(stride * height);
+  for (let i = 0, p = 0; p < pixels.length; i += 3, p += 4) {
+    rgb[i] = pixels[p];
+    rgb[i + 1] = pixels[p + 1];
+    rgb[i + 2] = pixels[p + 2];
+  }
+  const output = new Uint8Array((stride + 1) * height);
+  const candidate = new Uint8Array(stride);
+  for (let y = 0; y < height; y += 1) {
+    const row = rgb.subarray(y * stride, (y + 1) * stride);
+    const above = y > 0 ? rgb.subarray((y - 1) * stride, y * stride) : null;
+    let bestFilter = 0;
+    let bestScore = Infinity;
+    for (let filter = 0; filter < 5; filter += 1) {
+      let score = 0;
+      for (let x = 0; x < stride; x += 1) {
+        const left = x >= 3 ? row[x - 3] : 0;
+        const up = above ? above[x] : 0;
+        const upLeft = above && x >= 3 ? above[x - 3] : 0;
+        let predicted = 0;
+        if (filter === 1) {
+          predicted = left;
+        } else if (filter === 2) {
+          predicted = up;
+        } else if (filter === 3) {
+          predicted = (left + up) >> 1;
+        } else if (filter === 4) {
+          const estimate = left + up - upLeft;
+          const dl = Math.abs(estimate - left);
+          const du = Math.abs(estimate - up);
+          const dul = Math.abs(estimate - upLeft);
+          predicted = dl <= du && dl <= dul ? left : du <= dul ? up : upLeft;
+        }
+        const value = (row[x] - predicted) & 0xff;
+        candidate[x] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+        output[y * (stride + 1)] = filter;
+        output.set(candidate, y * (stride + 1) + 1);
+      }
+    }
+    output[y * (stride + 1)] = bestFilter;
+  }
+  return output;
+}
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i += 1) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// zlib stream made of stored (uncompressed) deflate blocks, used only where
+// CompressionStream is missing.
+function zlibStored(bytes) {
+  const blocks = Math.max(1, Math.ceil(bytes.length / 65535));
+  const out = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+  out[0] = 0x78;
+  out[1] = 0x01;
+  let offset = 2;
+  for (let i = 0; i < blocks; i += 1) {
+    const chunk = bytes.subarray(i * 65535, Math.min(bytes.length, (i + 1) * 65535));
+    out[offset] = i === blocks - 1 ? 1 : 0;
+    out[offset + 1] = chunk.length & 0xff;
+    out[offset + 2] = chunk.length >> 8;
+    out[offset + 3] = ~chunk.length & 0xff;
+    out[offset + 4] = (~chunk.length >> 8) & 0xff;
+    out.set(chunk, offset + 5);
+    offset += 5 + chunk.length;
+  }
+  new DataView(out.buffer).setUint32(offset, adler32(bytes));
+  return out;
+}
+
+async function zlibCompress(bytes) {
+  if (typeof CompressionStream !== "function") {
+    return zlibStored(bytes);
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function createApngEncoder({ width, height }) {
+  const frames = [];
+  let frameCount = 0;
+  let sequence = 0;
+
+  return {
+    async addFrame(pixels, delay) {
+      const compressed = await zlibCompress(filterScanlines(pixels, width, height));
+      const control = new Uint8Array(26);
+      const view = new DataView(control.buffer);
+      view.setUint32(0, sequence);
+      sequence += 1;
+      view.setUint32(4, width);
+      view.setUint32(8, height);
+      view.setUint32(12, 0);
+      view.setUint32(16, 0);
+      // Centiseconds like GIF: 16 bits cover 655 s, longer than any slide duration.
+      view.setUint16(20, Math.min(65535, Math.max(1, Math.round(delay / 10))));
+      view.setUint16(22, 100);
+      control[24] = 0;
+      control[25] = 0;
+      frames.push(pngChunk("fcTL", control));
+      frameCount += 1;
+
+      if (frameCount === 1) {
+        frames.push(pngChunk("IDAT", compressed));
+      } else {
+        const data = new Uint8Array(4 + compressed.length);
+        new DataView(data.buffer).setUint32(0, sequence);
+        sequence += 1;
+        data.set(compressed, 4);
+        frames.push(pngChunk("fdAT", data));
+      }
+    },
+    finish() {
+      const header = new Uint8Array(13);
+      const headerView = new DataView(header.buffer);
+      headerView.setUint32(0, width);
+      headerView.setUint32(4, height);
+      header[8] = 8;
+      header[9] = 2;
+      const animation = new Uint8Array(8);
+      const animationView = new DataView(animation.buffer);
+      animationView.setUint32(0, frameCount);
+      animationView.setUint32(4, 0);
+      return new Blob([
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk("IHDR", header),
+        pngChunk("acTL", animation),
+        ...frames,
+        pngChunk("IEND", new Uint8Array(0))
+      ], { type: "image/apng" });
+    }
+  };
+}
+
+// --- Messaging ---------------------------------------------------------------
+
+let queue = Promise.resolve();
+let framesEncoded = 0;
+
+function handleMessage(message) {
+  if (message.type === "start") {
+    framesEncoded = 0;
+    encoder = message.format === "apng" ? createApngEncoder(message) : createGifEncoder(message);
+    return;
+  }
+  if (!encoder) {
+    throw new Error("Encoder was not started.");
+  }
+  if (message.type === "frame") {
+    return Promise.resolve(encoder.addFrame(new Uint8Array(message.pixels), message.delay)).then(() => {
+      framesEncoded += 1;
+      self.postMessage({ type: "progress", frames: framesEncoded });
+    });
+  }
+  if (message.type === "finish") {
+    const blob = encoder.finish();
+    encoder = null;
+    self.postMessage({ type: "done", blob });
+  }
+}
+
+self.addEventListener("message", event => {
+  queue = queue
+    .then(() => handleMessage(event.data))
+    .catch(error => {
+      encoder = null;
+      self.postMessage({ type: "error", message: error && error.message ? error.message : String(error) });
+    });
+});
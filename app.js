@@ -1,17 +1,141 @@
-﻿const dropZone = document.getElementById("drop-zone");
+﻿import { createZipWriter, getZipEntryData, isZipFile, readZipEntries } from "./zip.js";
+
+const dropZone = document.getElementById("drop-zone");
 const dropZoneMessage = dropZone.querySelector("p");
 const defaultDropText = dropZoneMessage.textContent;
 const fileInput = document.getElementById("file-input");
 const selectFilesBtn = document.getElementById("select-files");
+const selectFolderBtn = document.getElementById("select-folder");
+const folderInput = document.getElementById("folder-input");
 const startBtn = document.getElementById("start-slideshow");
 const pasteBtn = document.getElementById("paste-clipboard");
 const resetBtn = document.getElementById("reset-gallery");
 const saveBtn = document.getElementById("save-gallery");
 const delayRange = document.getElementById("delay-range");
 const delayInput = document.getElementById("delay-input");
+const orderSelect = document.getElementById("order-mode");
+const transitionModeSelect = document.getElementById("transition-mode");
+const transitionDurationInput = document.getElementById("transition-duration");
+const sessionLimitSelect = document.getElementById("session-limit");
+const sessionMinutesInput = document.getElementById("session-minutes");
+const sessionLoopsInput = document.getElementById("session-loops");
+const sessionEndTimeInput = document.getElementById("session-end-time");
+const sessionFadeInput = document.getElementById("session-fade");
+const sessionSummary = document.getElementById("session-summary");
+const sessionSummaryTitle = document.getElementById("session-summary-title");
+const sessionSummaryText = document.getElementById("session-summary-text");
+const sessionSummaryCloseBtn = document.getElementById("session-summary-close");
+const stageCountdown = document.getElementById("stage-countdown");
 const loader = document.getElementById("loader");
 const stage = document.getElementById("stage");
-const stageImage = document.getElementById("stage-image");
+const stageCanvas = document.getElementById("stage-canvas");
+const stageContext = stageCanvas.getContext("2d", { alpha: false });
+const stageInfo = document.getElementById("stage-info");
+const timingReport = document.getElementById("timing-report");
+const timingSummary = document.getElementById("timing-summary");
+const timingDownloadBtn = document.getElementById("timing-download");
+const historyPanel = document.getElementById("history");
+const historyEmpty = document.getElementById("history-empty");
+const historyContent = document.getElementById("history-content");
+const historyDays = document.getElementById("history-days");
+const historyPlaylists = document.getElementById("history-playlists");
+const historyCsvBtn = document.getElementById("history-csv");
+const historyJsonBtn = document.getElementById("history-json");
+const historyClearBtn = document.getElementById("history-clear");
+const gallery = document.getElementById("gallery");
+const galleryCount = document.getElementById("gallery-count");
+const galleryList = document.getElementById("gallery-list");
+const gallerySelectAllBtn = document.getElementById("gallery-select-all");
+const galleryDeleteBtn = document.getElementById("gallery-delete");
+const galleryDurationInput = document.getElementById("gallery-duration");
+const galleryApplyDurationBtn = document.getElementById("gallery-apply-duration");
+const galleryClearDurationBtn = document.getElementById("gallery-clear-duration");
+const playlistGroup = document.getElementById("playlist-group");
+const playlistSelect = document.getElementById("playlist-select");
+const playlistNewBtn = document.getElementById("playlist-new");
+const playlistRenameBtn = document.getElementById("playlist-rename");
+const playlistDeleteBtn = document.getElementById("playlist-delete");
+const saveScopeSelect = document.getElementById("save-scope");
+const importOptimizeInput = document.getElementById("import-optimize");
+const importMaxEdgeInput = document.getElementById("import-max-edge");
+const importFormatSelect = document.getElementById("import-format");
+const importQualityInput = document.getElementById("import-quality");
+const importKeepOriginalInput = document.getElementById("import-keep-original");
+const importIncludeInput = document.getElementById("import-include");
+const importExcludeInput = document.getElementById("import-exclude");
+const urlImport = document.getElementById("url-import");
+const urlListInput = document.getElementById("url-list");
+const urlImportBtn = document.getElementById("url-import-start");
+const urlImportErrors = document.getElementById("url-import-errors");
+const importSplitAnimationsInput = document.getElementById("import-split-animations");
+const importVideoFramesSelect = document.getElementById("import-video-frames");
+const importFrameIntervalInput = document.getElementById("import-frame-interval");
+const importSceneChangeInput = document.getElementById("import-scene-change");
+const storageUsage = document.getElementById("storage-usage");
+const storageWarning = document.getElementById("storage-warning");
+const storageWarningText = document.getElementById("storage-warning-text");
+const storageExportBtn = document.getElementById("storage-export");
+const storageCleanupBtn = document.getElementById("storage-cleanup");
+const storageDismissBtn = document.getElementById("storage-dismiss");
+const importProgress = document.getElementById("import-progress");
+const importProgressBar = document.getElementById("import-progress-bar");
+const importProgressText = document.getElementById("import-progress-text");
+const importCancelBtn = document.getElementById("import-cancel");
+const pdfDialog = document.getElementById("pdf-dialog");
+const pdfForm = document.getElementById("pdf-form");
+const pdfDialogTitle = document.getElementById("pdf-dialog-title");
+const pdfPageCount = document.getElementById("pdf-page-count");
+const pdfPagesInput = document.getElementById("pdf-pages");
+const pdfMaxEdgeInput = document.getElementById("pdf-max-edge");
+const pdfFormatSelect = document.getElementById("pdf-format");
+const pdfQualityInput = document.getElementById("pdf-quality");
+const pdfApplyAllInput = document.getElementById("pdf-apply-all");
+const pdfDialogError = document.getElementById("pdf-dialog-error");
+const pdfProgress = document.getElementById("pdf-progress");
+const pdfProgressText = document.getElementById("pdf-progress-text");
+const pdfImportBtn = document.getElementById("pdf-import");
+const pdfCancelBtn = document.getElementById("pdf-cancel");
+const exportAnimationBtn = document.getElementById("export-animation");
+const animationFormatSelect = document.getElementById("animation-format");
+const animationSizeInput = document.getElementById("animation-size");
+const animationQualitySelect = document.getElementById("animation-quality");
+const animationCancelBtn = document.getElementById("animation-cancel");
+const textPanel = document.getElementById("text-slides");
+const textLinesInput = document.getElementById("text-lines");
+const textFontSelect = document.getElementById("text-font");
+const textSizeInput = document.getElementById("text-size");
+const textColorInput = document.getElementById("text-color");
+const textBackgroundInput = document.getElementById("text-background");
+const textCreateBtn = document.getElementById("text-create");
+const textRestyleBtn = document.getElementById("text-restyle");
+const textCancelEditBtn = document.getElementById("text-cancel-edit");
+const overlayEnabledInput = document.getElementById("overlay-enabled");
+const overlayModeSelect = document.getElementById("overlay-mode");
+const overlayPhrasesInput = document.getElementById("overlay-phrases");
+const overlayImageRow = document.getElementById("overlay-image-row");
+const overlayImageInput = document.getElementById("overlay-image-input");
+const overlayImageBtn = document.getElementById("overlay-image-choose");
+const overlayImageClearBtn = document.getElementById("overlay-image-clear");
+const overlayImagePreview = document.getElementById("overlay-image-preview");
+const overlayTextRow = document.getElementById("overlay-text-row");
+const overlayPositionSelect = document.getElementById("overlay-position");
+const overlayOpacityInput = document.getElementById("overlay-opacity");
+const overlayFontSelect = document.getElementById("overlay-font");
+const overlaySizeInput = document.getElementById("overlay-size");
+const overlayColorInput = document.getElementById("overlay-color");
+const overlayImageScaleInput = document.getElementById("overlay-image-scale");
+const overlayCycleInput = document.getElementById("overlay-cycle");
+const audioCount = document.getElementById("audio-count");
+const audioList = document.getElementById("audio-list");
+const audioAddBtn = document.getElementById("audio-add");
+const audioInput = document.getElementById("audio-input");
+const audioLoopInput = document.getElementById("audio-loop");
+const audioVolumeInput = document.getElementById("audio-volume");
+const audioFadeInInput = document.getElementById("audio-fade-in");
+const audioFadeOutInput = document.getElementById("audio-fade-out");
+const stageOverlay = document.getElementById("stage-overlay");
+const stageOverlayImage = document.getElementById("stage-overlay-image");
+const stageOverlayText = document.getElementById("stage-overlay-text");
 
 const pdfjsGlobal = typeof window !== "undefined" ? window.pdfjsLib : undefined;
 const pdfSupported = Boolean(pdfjsGlobal);
@@ -23,14 +147,24 @@ if (pdfSupported) {
 
 let imageEntries = [];
 const imageSignatures = new Set();
-let slideshowTimeout = null;
 let slideshowRaf = null;
 let currentIndex = 0;
+let playOrder = [];
+let playPosition = -1;
+let upcomingOrder = null;
 let isRunning = false;
+let isPaused = false;
+let pausedAt = 0;
+let stageInfoTimeout = null;
 let statusTimeout = null;
+const selectedSignatures = new Set();
+let draggedSignature = null;
+let playlists = [];
+let activePlaylistId = null;
 
 const supportsIndexedDB = typeof indexedDB !== "undefined";
 let dbPromise = null;
+const DEFAULT_PLAYLIST_NAME = "Default";
 
 function openDatabase() {
   if (!supportsIndexedDB) {
@@ -40,13 +174,34 @@ function openDatabase() {
     return dbPromise;
   }
   dbPromise = new Promise(resolve => {
-    const request = indexedDB.open("lightning-slideshow-storage", 1);
+    const request = indexedDB.open("lightning-slideshow-storage", 4);
     request.onupgradeneeded = event => {
       const db = event.target.result;
+      const upgradeTx = event.target.transaction;
       if (!db.objectStoreNames.contains("slides")) {
         const store = db.createObjectStore("slides", { keyPath: "signature" });
         store.createIndex("addedAt", "addedAt");
       }
+      if (!db.objectStoreNames.contains("playlists")) {
+        const playlistStore = db.createObjectStore("playlists", { keyPath: "id" });
+        if (event.oldVersion >= 1) {
+          // Version 1 kept a single flat gallery; carry it over as the default playlist.
+          const slidesRequest = upgradeTx.objectStore("slides").getAll();
+          slidesRequest.onsuccess = () => {
+            const signatures = (slidesRequest.result || [])
+              .sort((a, b) => slideOrderKey(a) - slideOrderKey(b))
+              .map(slide => slide.signature);
+            playlistStore.put(createPlaylistRecord(DEFAULT_PLAYLIST_NAME, signatures));
+          };
+        }
+      }
+      if (!db.objectStoreNames.contains("audio")) {
+        db.createObjectStore("audio", { keyPath: "signature" });
+      }
+      if (!db.objectStoreNames.contains("history")) {
+        const historyStore = db.createObjectStore("history", { keyPath: "id", autoIncrement: true });
+        historyStore.createIndex("startedAt", "startedAt");
+      }
     };
     request.onsuccess = event => {
       const db = event.target.result;
@@ -66,15 +221,19 @@ function openDatabase() {
   return dbPromise;
 }
 
-async function saveSlideRecord({ signature, label, blob, addedAt }) {
+async function saveSlideRecord({ signature, label, blob, addedAt, weight = 1, duration = null, textSource = null, original = null }) {
   const db = await openDatabase();
   if (!db) {
     return;
   }
 
   let bytes;
+  let originalBytes = null;
   try {
     bytes = await blob.arrayBuffer();
+    if (original) {
+      originalBytes = await original.arrayBuffer();
+    }
   } catch (error) {
     console.warn("Could not read slide data", error);
     return;
@@ -84,28 +243,51 @@ async function saveSlideRecord({ signature, label, blob, addedAt }) {
     signature,
     label,
     addedAt,
+    weight,
+    duration,
+    textSource,
     bytes,
     type: blob.type || "application/octet-stream"
   };
+  if (originalBytes) {
+    record.originalBytes = originalBytes;
+    record.originalType = original.type || "application/octet-stream";
+  }
 
+  // Resolves false when the slide could not be written; running out of space
+  // usually shows up as an aborted transaction rather than an error event.
   return new Promise(resolve => {
+    const fail = error => {
+      console.warn("Failed to persist slide", error);
+      noteUnsavedRecord(signature, label, error, () => saveSlideRecord({ signature, label, blob, addedAt, weight, duration, textSource, original }));
+      resolve(false);
+    };
     const tx = db.transaction("slides", "readwrite");
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => {
-      console.warn("Failed to persist slide", tx.error);
-      resolve();
+    tx.oncomplete = () => {
+      forgetUnsavedRecords([signature]);
+      resolve(true);
     };
+    tx.onerror = event => fail(event.target.error || tx.error);
+    tx.onabort = () => fail(tx.error);
     const store = tx.objectStore("slides");
     try {
       store.put(record);
     } catch (error) {
-      console.warn("Could not store slide", error);
-      resolve();
+      fail(error);
     }
   });
 }
 
-async function getPersistedSlides() {
+// Version 1 galleries stored their order on the slide records: reordered slides
+// carry a `position`, anything added afterwards only its `addedAt` timestamp.
+function slideOrderKey(record) {
+  if (record && typeof record.position === "number") {
+    return record.position;
+  }
+  return (record && record.addedAt) || 0;
+}
+
+async function getSlideKeys() {
   const db = await openDatabase();
   if (!db) {
     return [];
@@ -113,56 +295,506 @@ async function getPersistedSlides() {
   return new Promise(resolve => {
     try {
       const tx = db.transaction("slides", "readonly");
+      const request = tx.objectStore("slides").getAllKeys();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => {
+        console.warn("Failed to list persisted slides", request.error);
+        resolve([]);
+      };
+    } catch (error) {
+      console.warn("Could not list persisted slides", error);
+      resolve([]);
+    }
+  });
+}
+
+async function getSlideRecords(signatures) {
+  const db = await openDatabase();
+  const records = new Map();
+  if (!db || !signatures.length) {
+    return records;
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("slides", "readonly");
+      const store = tx.objectStore("slides");
+      tx.oncomplete = () => resolve(records);
+      tx.onerror = () => {
+        console.warn("Failed to read persisted slides", tx.error);
+        resolve(records);
+      };
+      for (const signature of signatures) {
+        const request = store.get(signature);
+        request.onsuccess = () => {
+          if (request.result) {
+            records.set(signature, request.result);
+          }
+        };
+      }
+    } catch (error) {
+      console.warn("Could not access persisted slides", error);
+      resolve(records);
+    }
+  });
+}
+
+async function deleteSlideRecords(signatures) {
+  const db = await openDatabase();
+  if (!db || !signatures.length) {
+    return;
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("slides", "readwrite");
       const store = tx.objectStore("slides");
-      const request = store.getAll();
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => {
+        console.warn("Failed to delete persisted slides", tx.error);
+        resolve();
+      };
+      signatures.forEach(signature => store.delete(signature));
+    } catch (error) {
+      console.warn("Could not delete persisted slides", error);
+      resolve();
+    }
+  });
+}
+
+// Strips the originals kept next to optimized photos. Resolves with the number
+// of slides that carried one.
+async function dropSlideOriginals() {
+  const db = await openDatabase();
+  if (!db) {
+    return 0;
+  }
+  return new Promise(resolve => {
+    let count = 0;
+    try {
+      const tx = db.transaction("slides", "readwrite");
+      tx.oncomplete = () => resolve(count);
+      tx.onerror = () => {
+        console.warn("Failed to remove kept originals", tx.error);
+        resolve(0);
+      };
+      const request = tx.objectStore("slides").openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          return;
+        }
+        if (cursor.value.originalBytes) {
+          const { originalBytes, originalType, ...record } = cursor.value;
+          cursor.update(record);
+          count += 1;
+        }
+        cursor.continue();
+      };
+    } catch (error) {
+      console.warn("Could not remove kept originals", error);
+      resolve(0);
+    }
+  });
+}
+
+function generatePlaylistId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return `playlist-${crypto.randomUUID()}`;
+  }
+  return `playlist-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+}
+
+function createPlaylistRecord(name, signatures = []) {
+  return {
+    id: generatePlaylistId(),
+    name,
+    signatures,
+    overrides: {},
+    audio: [],
+    createdAt: Date.now()
+  };
+}
+
+async function getPlaylistRecords() {
+  const db = await openDatabase();
+  if (!db) {
+    return [];
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("playlists", "readonly");
+      const request = tx.objectStore("playlists").getAll();
       request.onsuccess = () => {
-        const records = (request.result || []).sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0));
+        const records = (request.result || []).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
         resolve(records);
       };
       request.onerror = () => {
-        console.warn("Failed to read persisted slides", request.error);
+        console.warn("Failed to read playlists", request.error);
         resolve([]);
       };
     } catch (error) {
-      console.warn("Could not access persisted slides", error);
+      console.warn("Could not access playlists", error);
       resolve([]);
     }
   });
 }
 
-async function clearPersistedSlides() {
+async function putPlaylistRecords(records) {
+  const db = await openDatabase();
+  if (!db || !records.length) {
+    return;
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("playlists", "readwrite");
+      const store = tx.objectStore("playlists");
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => {
+        console.warn("Failed to persist playlists", tx.error);
+        resolve();
+      };
+      records.forEach(record => store.put({ ...record, signatures: Array.from(record.signatures) }));
+    } catch (error) {
+      console.warn("Could not store playlists", error);
+      resolve();
+    }
+  });
+}
+
+async function deletePlaylistRecord(id) {
   const db = await openDatabase();
   if (!db) {
     return;
   }
   return new Promise(resolve => {
     try {
-      const tx = db.transaction("slides", "readwrite");
-      const store = tx.objectStore("slides");
-      const request = store.clear();
-      request.onsuccess = () => resolve();
+      const tx = db.transaction("playlists", "readwrite");
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => {
+        console.warn("Failed to delete playlist", tx.error);
+        resolve();
+      };
+      tx.objectStore("playlists").delete(id);
+    } catch (error) {
+      console.warn("Could not delete playlist", error);
+      resolve();
+    }
+  });
+}
+
+// Slides are shared between playlists, so a record is only removed once no
+// playlist refers to its signature any more.
+async function pruneUnreferencedSlides(signatures) {
+  const referenced = new Set();
+  playlists.forEach(playlist => playlist.signatures.forEach(signature => referenced.add(signature)));
+  const orphans = signatures.filter(signature => !referenced.has(signature));
+  forgetUnsavedRecords(orphans);
+  await deleteSlideRecords(orphans);
+}
+
+// Writes rekeyed slides, removes their old keys and saves the playlists pointing
+// at them in one transaction, so an interrupted migration never orphans a slide.
+async function rekeySlideRecords(records, removedSignatures, updatedPlaylists) {
+  const db = await openDatabase();
+  if (!db) {
+    return false;
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction(["slides", "playlists"], "readwrite");
+      const slideStore = tx.objectStore("slides");
+      const playlistStore = tx.objectStore("playlists");
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => {
+        console.warn("Failed to migrate slide signatures", tx.error);
+        resolve(false);
+      };
+      records.forEach(record => slideStore.put(record));
+      removedSignatures.forEach(signature => slideStore.delete(signature));
+      updatedPlaylists.forEach(playlist => playlistStore.put({ ...playlist, signatures: Array.from(playlist.signatures) }));
+    } catch (error) {
+      console.warn("Could not migrate slide signatures", error);
+      resolve(false);
+    }
+  });
+}
+
+// Soundtracks live in their own store; playlists list them by signature in
+// `audio`, the same way they list slides.
+async function saveAudioRecord({ signature, name, blob, addedAt }) {
+  const db = await openDatabase();
+  if (!db) {
+    return;
+  }
+
+  let bytes;
+  try {
+    bytes = await blob.arrayBuffer();
+  } catch (error) {
+    console.warn("Could not read audio data", error);
+    return;
+  }
+
+  return new Promise(resolve => {
+    const fail = error => {
+      console.warn("Failed to persist audio track", error);
+      noteUnsavedRecord(signature, name, error, () => saveAudioRecord({ signature, name, blob, addedAt }));
+      resolve(false);
+    };
+    try {
+      const tx = db.transaction("audio", "readwrite");
+      tx.oncomplete = () => {
+        forgetUnsavedRecords([signature]);
+        resolve(true);
+      };
+      tx.onerror = event => fail(event.target.error || tx.error);
+      tx.onabort = () => fail(tx.error);
+      tx.objectStore("audio").put({ signature, name, addedAt, bytes, type: blob.type || "application/octet-stream" });
+    } catch (error) {
+      fail(error);
+    }
+  });
+}
+
+async function getAudioKeys() {
+  const db = await openDatabase();
+  if (!db) {
+    return [];
+  }
+  return new Promise(resolve => {
+    try {
+      const request = db.transaction("audio", "readonly").objectStore("audio").getAllKeys();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => {
+        console.warn("Failed to list persisted audio", request.error);
+        resolve([]);
+      };
+    } catch (error) {
+      console.warn("Could not list persisted audio", error);
+      resolve([]);
+    }
+  });
+}
+
+async function getAudioRecords(signatures) {
+  const db = await openDatabase();
+  const records = new Map();
+  if (!db || !signatures.length) {
+    return records;
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("audio", "readonly");
+      const store = tx.objectStore("audio");
+      tx.oncomplete = () => resolve(records);
+      tx.onerror = () => {
+        console.warn("Failed to read audio tracks", tx.error);
+        resolve(records);
+      };
+      for (const signature of signatures) {
+        const request = store.get(signature);
+        request.onsuccess = () => {
+          if (request.result) {
+            records.set(signature, request.result);
+          }
+        };
+      }
+    } catch (error) {
+      console.warn("Could not access audio tracks", error);
+      resolve(records);
+    }
+  });
+}
+
+async function deleteAudioRecords(signatures) {
+  const db = await openDatabase();
+  if (!db || !signatures.length) {
+    return;
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("audio", "readwrite");
+      const store = tx.objectStore("audio");
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => {
+        console.warn("Failed to delete audio tracks", tx.error);
+        resolve();
+      };
+      signatures.forEach(signature => store.delete(signature));
+    } catch (error) {
+      console.warn("Could not delete audio tracks", error);
+      resolve();
+    }
+  });
+}
+
+async function pruneUnreferencedAudio(signatures) {
+  const referenced = new Set();
+  playlists.forEach(playlist => (playlist.audio || []).forEach(signature => referenced.add(signature)));
+  const orphans = signatures.filter(signature => !referenced.has(signature));
+  forgetUnsavedRecords(orphans);
+  await deleteAudioRecords(orphans);
+}
+
+async function addHistoryRecord(record) {
+  const db = await openDatabase();
+  if (!db) {
+    return;
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("history", "readwrite");
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => {
+        console.warn("Failed to record session", tx.error);
+        resolve();
+      };
+      tx.objectStore("history").add(record);
+    } catch (error) {
+      console.warn("Could not record session", error);
+      resolve();
+    }
+  });
+}
+
+async function getHistoryRecords() {
+  const db = await openDatabase();
+  if (!db) {
+    return [];
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("history", "readonly");
+      const request = tx.objectStore("history").index("startedAt").getAll();
+      request.onsuccess = () => resolve(request.result || []);
       request.onerror = () => {
-        console.warn("Failed to clear persisted slides", request.error);
+        console.warn("Failed to read session history", request.error);
+        resolve([]);
+      };
+    } catch (error) {
+      console.warn("Could not access session history", error);
+      resolve([]);
+    }
+  });
+}
+
+async function clearHistoryRecords() {
+  const db = await openDatabase();
+  if (!db) {
+    return;
+  }
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction("history", "readwrite");
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => {
+        console.warn("Failed to clear session history", tx.error);
         resolve();
       };
+      tx.objectStore("history").clear();
     } catch (error) {
-      console.warn("Could not clear persisted slides", error);
+      console.warn("Could not clear session history", error);
       resolve();
     }
   });
 }
 
-async function registerEntry({ blob, label, signature, persist = true, addedAt = Date.now() }) {
+function getActivePlaylist() {
+  return playlists.find(playlist => playlist.id === activePlaylistId) || null;
+}
+
+// Import batches write the active playlist once when they finish rather than
+// after every slide they add.
+let playlistWritesDeferred = false;
+
+async function persistActivePlaylist() {
+  const playlist = getActivePlaylist();
+  if (!playlist) {
+    return;
+  }
+  playlist.signatures = imageEntries.map(entry => entry.signature);
+  playlist.overrides = pickSlideOverrides(playlist, playlist.signatures);
+  await putPlaylistRecords([playlist]);
+}
+
+// Labels, weights and durations edited in the gallery belong to the playlist;
+// the shared slide record keeps the values the slide was added with.
+function getSlideOverride(playlist, signature) {
+  return (playlist && playlist.overrides && playlist.overrides[signature]) || null;
+}
+
+function normalizeSlideOverride(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  const override = {};
+  if (typeof value.label === "string" && value.label.trim()) {
+    override.label = value.label.trim();
+  }
+  if ("weight" in value) {
+    override.weight = normalizeWeight(value.weight);
+  }
+  if ("duration" in value) {
+    override.duration = normalizeDuration(value.duration);
+  }
+  return Object.keys(override).length ? override : null;
+}
+
+function renameSlideOverrides(playlist, renamed) {
+  const overrides = {};
+  Object.entries(playlist.overrides || {}).forEach(([signature, override]) => {
+    overrides[renamed.get(signature) || signature] = override;
+  });
+  return overrides;
+}
+
+function pickSlideOverrides(playlist, signatures) {
+  const overrides = {};
+  signatures.forEach(signature => {
+    const override = getSlideOverride(playlist, signature);
+    if (override) {
+      overrides[signature] = override;
+    }
+  });
+  return overrides;
+}
+
+async function updateSlideOverrides(updates) {
+  const playlist = getActivePlaylist();
+  if (!playlist || !updates.length) {
+    return;
+  }
+  const overrides = { ...playlist.overrides };
+  for (const { signature, changes } of updates) {
+    overrides[signature] = { ...overrides[signature], ...changes };
+  }
+  playlist.overrides = overrides;
+  await putPlaylistRecords([playlist]);
+}
+
+async function registerEntry({ blob, label, signature, persist = true, addedAt = Date.now(), weight = 1, duration = null, textSource = null, original = null }) {
   if (imageSignatures.has(signature)) {
     return false;
   }
 
-  const url = URL.createObjectURL(blob);
-  imageEntries.push({ url, signature, label });
+  const entry = {
+    url: URL.createObjectURL(blob),
+    blob,
+    signature,
+    label,
+    weight: normalizeWeight(weight),
+    duration: normalizeDuration(duration),
+    textSource: normalizeTextSource(textSource)
+  };
+  const record = { signature, label, blob, addedAt, weight: entry.weight, duration: entry.duration, textSource: entry.textSource, original };
+  Object.assign(entry, normalizeSlideOverride(getSlideOverride(getActivePlaylist(), signature)));
+  imageEntries.push(entry);
   imageSignatures.add(signature);
 
   if (persist) {
-    await saveSlideRecord({ signature, label, blob, addedAt });
+    await saveSlideRecord(record);
+    if (!playlistWritesDeferred) {
+      await persistActivePlaylist();
+    }
   }
 
   return true;
@@ -205,6 +837,7 @@ function applyDelay(value, { persist = true } = {}) {
   const clamped = Math.min(2000, Math.max(0, Number(value) || 0));
   delayRange.value = String(clamped);
   delayInput.value = String(clamped);
+  updateGalleryControls();
   if (persist) {
     storeDelay(clamped);
   }
@@ -219,22 +852,182 @@ function restoreDelaySetting() {
   applyDelay(stored, { persist: false });
 }
 
-const SAVE_PACKAGE_VERSION = 1;
+const ORDER_MODES = ["sequential", "reverse", "pingpong", "shuffle", "weighted"];
+const DEFAULT_ORDER_MODE = "sequential";
+const orderStorageKey = "lightning-slideshow-order";
 
-function arrayBufferToBase64(buffer) {
-  const view = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer instanceof Uint8Array ? buffer : new Uint8Array();
-  if (view.length === 0) {
-    return "";
+function storeOrderMode(mode) {
+  if (typeof localStorage === "undefined") {
+    return;
   }
-  const chunkSize = 0x8000;
-  let binary = "";
-  for (let i = 0; i < view.length; i += chunkSize) {
-    const chunk = view.subarray(i, Math.min(view.length, i + chunkSize));
-    binary += String.fromCharCode(...chunk);
+  try {
+    localStorage.setItem(orderStorageKey, mode);
+  } catch (error) {
+    console.warn("Could not persist order mode", error);
+  }
+}
+
+function getStoredOrderMode() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    const raw = localStorage.getItem(orderStorageKey);
+    if (ORDER_MODES.includes(raw)) {
+      return raw;
+    }
+  } catch (error) {
+    console.warn("Could not read order mode", error);
+  }
+  return null;
+}
+
+function applyOrderMode(mode, { persist = true } = {}) {
+  const value = ORDER_MODES.includes(mode) ? mode : DEFAULT_ORDER_MODE;
+  orderSelect.value = value;
+  gallery.classList.toggle("show-weights", value === "weighted");
+  if (persist) {
+    storeOrderMode(value);
+  }
+}
+
+function restoreOrderSetting() {
+  applyOrderMode(getStoredOrderMode() || DEFAULT_ORDER_MODE, { persist: false });
+}
+
+const TRANSITION_MODES = ["cut", "crossfade", "additive", "fade-black", "fade-white", "slide"];
+const DEFAULT_TRANSITION = { mode: "cut", duration: 300 };
+const MAX_TRANSITION_DURATION = 10000;
+const transitionStorageKey = "lightning-slideshow-transition";
+let transitionSettings = { ...DEFAULT_TRANSITION };
+
+function normalizeTransition(value) {
+  const source = value && typeof value === "object" ? value : {};
+  const duration = Math.round(Number(source.duration));
+  return {
+    mode: TRANSITION_MODES.includes(source.mode) ? source.mode : DEFAULT_TRANSITION.mode,
+    duration: Number.isFinite(duration) && source.duration !== null && source.duration !== ""
+      ? Math.min(MAX_TRANSITION_DURATION, Math.max(0, duration))
+      : DEFAULT_TRANSITION.duration
+  };
+}
+
+function storeTransition(value) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(transitionStorageKey, JSON.stringify(value));
+  } catch (error) {
+    console.warn("Could not persist transition", error);
+  }
+}
+
+function getStoredTransition() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    const raw = localStorage.getItem(transitionStorageKey);
+    if (raw !== null) {
+      return normalizeTransition(JSON.parse(raw));
+    }
+  } catch (error) {
+    console.warn("Could not read transition", error);
+  }
+  return null;
+}
+
+function applyTransition(value, { persist = true } = {}) {
+  transitionSettings = normalizeTransition(value);
+  transitionModeSelect.value = transitionSettings.mode;
+  transitionDurationInput.value = String(transitionSettings.duration);
+  transitionDurationInput.disabled = transitionSettings.mode === "cut";
+  if (persist) {
+    storeTransition(transitionSettings);
+  }
+}
+
+function restoreTransitionSetting() {
+  applyTransition(getStoredTransition() || DEFAULT_TRANSITION, { persist: false });
+}
+
+function normalizeWeight(value) {
+  const weight = Number(value);
+  if (!Number.isFinite(weight) || value === null || value === undefined) {
+    return 1;
+  }
+  return Math.min(100, Math.max(0, Math.round(weight)));
+}
+
+// Per-slide durations override the global delay and may run far past its range
+// so a slide can be held on screen.
+const MAX_SLIDE_DURATION = 600000;
+
+function normalizeDuration(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const duration = Number(value);
+  if (!Number.isFinite(duration)) {
+    return null;
+  }
+  return Math.min(MAX_SLIDE_DURATION, Math.max(0, Math.round(duration)));
+}
+
+function getEntryDuration(entry) {
+  if (entry && entry.duration !== null && entry.duration !== undefined) {
+    return entry.duration;
+  }
+  return Number(delayRange.value);
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${ms} ms`;
+  }
+  const seconds = ms / 1000;
+  if (seconds < 60) {
+    return `${Number(seconds.toFixed(1))} s`;
   }
-  return btoa(binary);
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return `${minutes} min${rest ? ` ${rest} s` : ""}`;
 }
 
+const playlistStorageKey = "lightning-slideshow-playlist";
+
+function storeActivePlaylistId(id) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(playlistStorageKey, id);
+  } catch (error) {
+    console.warn("Could not persist active playlist", error);
+  }
+}
+
+function getStoredActivePlaylistId() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    return localStorage.getItem(playlistStorageKey);
+  } catch (error) {
+    console.warn("Could not read active playlist", error);
+  }
+  return null;
+}
+
+// Versions 1-3 were single JSON files with base64 slides (2 added playlists,
+// 3 per-slide durations). Version 4 is a ZIP holding manifest.json and the raw
+// slide files, written and read one slide at a time.
+const SAVE_PACKAGE_VERSION = 4;
+const LAST_JSON_PACKAGE_VERSION = 3;
+const PACKAGE_FORMAT = "lightning-slideshow";
+const EXPORT_BATCH_SIZE = 10;
+
 function base64ToArrayBuffer(base64) {
   const binary = atob(base64);
   const length = binary.length;
@@ -252,89 +1045,406 @@ function generateImportSignature() {
   return `import-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 }
 
-async function buildExportPayload() {
-  const persistedSlides = await getPersistedSlides();
+function decodePackageSlide(slide) {
+  if (!slide || typeof slide.bytes !== "string") {
+    return null;
+  }
+  try {
+    const buffer = base64ToArrayBuffer(slide.bytes);
+    return new Blob([buffer], { type: slide.type || "application/octet-stream" });
+  } catch (error) {
+    console.warn("Could not decode slide from package", error);
+    return null;
+  }
+}
+
+const IMAGE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/bmp": ".bmp",
+  "image/svg+xml": ".svg"
+};
+
+const AUDIO_EXTENSIONS = {
+  "audio/mpeg": ".mp3",
+  "audio/ogg": ".ogg",
+  "audio/opus": ".opus",
+  "audio/wav": ".wav",
+  "audio/wave": ".wav",
+  "audio/x-wav": ".wav",
+  "audio/flac": ".flac",
+  "audio/mp4": ".m4a",
+  "audio/aac": ".aac",
+  "audio/webm": ".weba"
+};
+
+function extensionForType(type) {
+  return IMAGE_EXTENSIONS[type] || AUDIO_EXTENSIONS[type] || ".bin";
+}
+
+// Streams the selected playlists into a version 4 package through `write`,
+// loading only a few slide records at a time. Resolves with the manifest.
+async function writeExportPackage(scope, write) {
+  const selected = scope === "all" ? playlists : [getActivePlaylist()].filter(Boolean);
+  const signatures = Array.from(new Set(selected.flatMap(playlist => playlist.signatures)));
+  const writer = createZipWriter(write);
   const slides = [];
-  for (const slide of persistedSlides) {
-    if (!slide || !slide.bytes) {
-      continue;
-    }
-    try {
-      slides.push({
-        signature: slide.signature,
+  // Slides that could not be stored (e.g. storage is full) are still in memory.
+  const loaded = new Map(imageEntries.map(entry => [entry.signature, entry]));
+
+  for (let start = 0; start < signatures.length; start += EXPORT_BATCH_SIZE) {
+    const batch = signatures.slice(start, start + EXPORT_BATCH_SIZE);
+    const records = await getSlideRecords(batch);
+    for (const signature of batch) {
+      const slide = records.get(signature) || loaded.get(signature);
+      const blob = slide ? slideRecordToBlob(slide) : null;
+      if (!blob) {
+        continue;
+      }
+      const number = String(slides.length + 1).padStart(5, "0");
+      const file = `slides/${number}${extensionForType(blob.type)}`;
+      await writer.addFile(file, blob);
+      const packaged = {
+        signature,
         label: slide.label,
-        type: slide.type,
+        type: blob.type,
         addedAt: slide.addedAt,
-        bytes: arrayBufferToBase64(slide.bytes)
-      });
-    } catch (error) {
-      console.warn("Could not include slide in export", error);
+        weight: normalizeWeight(slide.weight),
+        duration: normalizeDuration(slide.duration),
+        textSource: normalizeTextSource(slide.textSource),
+        file
+      };
+      // Originals kept next to optimized photos travel with them.
+      if (slide.originalBytes) {
+        packaged.originalType = slide.originalType || "application/octet-stream";
+        packaged.original = `originals/${number}${extensionForType(packaged.originalType)}`;
+        await writer.addFile(packaged.original, new Blob([slide.originalBytes], { type: packaged.originalType }));
+      }
+      slides.push(packaged);
     }
   }
-  return {
+
+  const audioSignatures = Array.from(new Set(selected.flatMap(playlist => playlist.audio || [])));
+  const audio = [];
+  for (let start = 0; start < audioSignatures.length; start += EXPORT_BATCH_SIZE) {
+    const batch = audioSignatures.slice(start, start + EXPORT_BATCH_SIZE);
+    const records = await getAudioRecords(batch);
+    for (const signature of batch) {
+      const track = records.get(signature);
+      const blob = track ? slideRecordToBlob(track) : null;
+      if (!blob) {
+        continue;
+      }
+      const file = `audio/${String(audio.length + 1).padStart(5, "0")}${extensionForType(blob.type)}`;
+      await writer.addFile(file, blob);
+      audio.push({ signature, name: track.name, type: blob.type, addedAt: track.addedAt, file });
+    }
+  }
+
+  const included = new Set(slides.map(slide => slide.signature));
+  const includedAudio = new Set(audio.map(track => track.signature));
+  const manifest = {
+    format: PACKAGE_FORMAT,
     version: SAVE_PACKAGE_VERSION,
     delay: Number(delayRange.value),
+    order: orderSelect.value,
+    transition: transitionSettings,
+    overlay: overlaySettings,
+    soundtrack: audioSettings,
+    session: sessionSettings,
     generatedAt: new Date().toISOString(),
-    slides
+    playlists: selected.map(playlist => ({
+      name: playlist.name,
+      signatures: playlist.signatures.filter(signature => included.has(signature)),
+      overrides: pickSlideOverrides(playlist, playlist.signatures.filter(signature => included.has(signature))),
+      audio: (playlist.audio || []).filter(signature => includedAudio.has(signature))
+    })),
+    slides,
+    audio
   };
+  await writer.addFile("manifest.json", new Blob([JSON.stringify(manifest, null, 2)], { type: "application/json" }));
+  await writer.finish();
+  return manifest;
 }
 
-async function importSavedPackage(file) {
-  try {
-    const text = await file.text();
-    const data = JSON.parse(text);
-    if (!data || typeof data !== "object" || Number(data.version) !== SAVE_PACKAGE_VERSION || !Array.isArray(data.slides)) {
-      throw new Error("Unsupported package format");
+async function readPackageOriginal(slide, readSlide) {
+  if (!slide || typeof slide.original !== "string") {
+    return null;
+  }
+  return readSlide({ file: slide.original, type: slide.originalType });
+}
+
+async function importPackageSlides(data, readSlide) {
+  let added = 0;
+  const total = data.slides.length;
+
+  for (const [index, slide] of data.slides.entries()) {
+    if (isImportCancelled()) {
+      break;
+    }
+    reportImportFileProgress(index / total);
+    const blob = await readSlide(slide);
+    if (!blob) {
+      continue;
+    }
+    const registered = await registerEntry({
+      blob,
+      label: slide.label || "Image",
+      signature: await contentSignature(blob, slide.signature),
+      addedAt: slide.addedAt || Date.now(),
+      weight: slide.weight,
+      duration: slide.duration,
+      textSource: slide.textSource,
+      original: await readPackageOriginal(slide, readSlide)
+    });
+    if (registered) {
+      added += 1;
     }
+  }
+
+  return { added, total };
+}
+
+// Packaged playlists are merged into local playlists of the same name. Slides for
+// the active playlist go through registerEntry; the others are written straight
+// to IndexedDB and show up when that playlist is opened.
+async function importPackagePlaylists(data, readSlide) {
+  const db = await openDatabase();
+  if (!db || !getActivePlaylist()) {
+    return importPackageSlides(data, readSlide);
+  }
+
+  const slidesBySignature = new Map();
+  data.slides.forEach(slide => {
+    if (slide && slide.signature) {
+      slidesBySignature.set(slide.signature, slide);
+    }
+  });
 
-    if (typeof data.delay === "number") {
-      applyDelay(data.delay);
+  // Older packages carry name-based signatures; rekey every slide by content once.
+  const decoded = new Map();
+  const decodeSlide = async signature => {
+    if (!decoded.has(signature)) {
+      const slide = slidesBySignature.get(signature);
+      const blob = await readSlide(slide);
+      decoded.set(signature, blob ? { slide, blob, signature: await contentSignature(blob, signature) } : null);
     }
+    return decoded.get(signature);
+  };
 
-    let added = 0;
-    const total = data.slides.length;
+  const tracksBySignature = new Map();
+  (Array.isArray(data.audio) ? data.audio : []).forEach(track => {
+    if (track && track.signature) {
+      tracksBySignature.set(track.signature, track);
+    }
+  });
+  const decodedTracks = new Map();
+  const decodeTrack = async signature => {
+    if (!decodedTracks.has(signature)) {
+      const track = tracksBySignature.get(signature);
+      const blob = track ? await readSlide(track) : null;
+      decodedTracks.set(signature, blob ? { track, blob, signature: await contentSignature(blob, signature) } : null);
+    }
+    return decodedTracks.get(signature);
+  };
 
-    for (const slide of data.slides) {
-      if (!slide || typeof slide.bytes !== "string") {
-        continue;
+  let added = 0;
+  let total = 0;
+  let processed = 0;
+  let firstImportedId = null;
+  let activeAudioChanged = false;
+  const slideCount = data.playlists.reduce((sum, packaged) => sum + (packaged && Array.isArray(packaged.signatures) ? packaged.signatures.length : 0), 0);
+
+  for (const packaged of data.playlists) {
+    if (isImportCancelled()) {
+      break;
+    }
+    if (!packaged || !Array.isArray(packaged.signatures)) {
+      continue;
+    }
+    const name = String(packaged.name || DEFAULT_PLAYLIST_NAME).trim() || DEFAULT_PLAYLIST_NAME;
+    let target = playlists.find(playlist => playlist.name === name);
+    if (!target) {
+      target = createPlaylistRecord(name);
+      playlists.push(target);
+    }
+    const packagedOverrides = packaged.overrides && typeof packaged.overrides === "object" ? packaged.overrides : {};
+    firstImportedId = firstImportedId || target.id;
+    total += packaged.signatures.length;
+
+    for (const packagedSignature of packaged.signatures) {
+      // Stop early but still store the playlist below, so saved slides stay in it.
+      if (isImportCancelled()) {
+        break;
       }
-      let buffer;
-      try {
-        buffer = base64ToArrayBuffer(slide.bytes);
-      } catch (error) {
-        console.warn("Could not decode slide from package", error);
+      reportImportFileProgress(processed / slideCount);
+      processed += 1;
+      const item = await decodeSlide(packagedSignature);
+      if (!item) {
         continue;
       }
-      const blob = new Blob([buffer], { type: slide.type || "application/octet-stream" });
+      const { slide, blob, signature } = item;
       const label = slide.label || "Image";
-      let signature = slide.signature || generateImportSignature();
-      const registered = await registerEntry({
-        blob,
-        label,
-        signature,
-        addedAt: slide.addedAt || Date.now()
-      });
-      if (registered) {
+      const addedAt = slide.addedAt || Date.now();
+      const weight = normalizeWeight(slide.weight);
+      const duration = normalizeDuration(slide.duration);
+      const textSource = normalizeTextSource(slide.textSource);
+      // Gallery edits travel with the playlist; slides it already has keep theirs.
+      const override = normalizeSlideOverride(packagedOverrides[packagedSignature]);
+      const present = target.id === activePlaylistId ? imageSignatures.has(signature) : target.signatures.includes(signature);
+      if (override && !present) {
+        target.overrides = { ...target.overrides, [signature]: override };
+      }
+      if (target.id === activePlaylistId) {
+        const original = await readPackageOriginal(slide, readSlide);
+        if (await registerEntry({ blob, label, signature, addedAt, weight, duration, textSource, original })) {
+          added += 1;
+        }
+      } else if (!target.signatures.includes(signature)) {
+        const original = await readPackageOriginal(slide, readSlide);
+        await saveSlideRecord({ signature, label, blob, addedAt, weight, duration, textSource, original });
+        target.signatures.push(signature);
         added += 1;
       }
     }
 
-    return { added, total };
+    target.audio = target.audio || [];
+    for (const packagedSignature of Array.isArray(packaged.audio) ? packaged.audio : []) {
+      if (isImportCancelled()) {
+        break;
+      }
+      const item = await decodeTrack(packagedSignature);
+      if (!item || target.audio.includes(item.signature)) {
+        continue;
+      }
+      await saveAudioRecord({
+        signature: item.signature,
+        name: item.track.name || "Audio",
+        blob: item.blob,
+        addedAt: item.track.addedAt || Date.now()
+      });
+      target.audio.push(item.signature);
+      activeAudioChanged = activeAudioChanged || target.id === activePlaylistId;
+    }
+
+    await putPlaylistRecords([target]);
+  }
+
+  if (activeAudioChanged) {
+    await loadPlaylistAudio(getActivePlaylist());
+  }
+
+  renderPlaylistPicker();
+  if (!imageEntries.length && firstImportedId && firstImportedId !== activePlaylistId) {
+    await switchPlaylist(firstImportedId);
+  }
+
+  return { added, total };
+}
+
+function applyPackageSettings(data) {
+  if (typeof data.delay === "number") {
+    applyDelay(data.delay);
+  }
+  if (ORDER_MODES.includes(data.order)) {
+    applyOrderMode(data.order);
+  }
+  if (data.transition && typeof data.transition === "object") {
+    applyTransition(data.transition);
+  }
+  if (data.overlay && typeof data.overlay === "object") {
+    applyOverlaySettings(data.overlay);
+  }
+  if (data.soundtrack && typeof data.soundtrack === "object") {
+    applyAudioSettings(data.soundtrack);
+  }
+  if (data.session && typeof data.session === "object") {
+    applySessionSettings(data.session);
+  }
+}
+
+function importPackageData(data, readSlide) {
+  applyPackageSettings(data);
+  if (Array.isArray(data.playlists)) {
+    return importPackagePlaylists(data, readSlide);
+  }
+  return importPackageSlides(data, readSlide);
+}
+
+async function importJsonPackage(file) {
+  const data = JSON.parse(await file.text());
+  const version = data && typeof data === "object" ? Number(data.version) : NaN;
+  if (!(version >= 1 && version <= LAST_JSON_PACKAGE_VERSION) || !Array.isArray(data.slides)) {
+    throw new Error("Unsupported package format");
+  }
+  return importPackageData(data, async slide => decodePackageSlide(slide));
+}
+
+async function importZipPackage(file) {
+  const entries = await readZipEntries(file);
+  const entriesByName = new Map(entries.map(entry => [entry.name, entry]));
+  const manifestEntry = entriesByName.get("manifest.json");
+  if (!manifestEntry || manifestEntry.method !== 0) {
+    throw new Error("Package has no readable manifest");
+  }
+  const data = JSON.parse(await (await getZipEntryData(file, manifestEntry)).text());
+  const version = data && typeof data === "object" ? Number(data.version) : NaN;
+  if (data.format !== PACKAGE_FORMAT || !(version > LAST_JSON_PACKAGE_VERSION && version <= SAVE_PACKAGE_VERSION) || !Array.isArray(data.slides)) {
+    throw new Error("Unsupported package format");
+  }
+  return importPackageData(data, async slide => {
+    const entry = slide ? entriesByName.get(slide.file) : null;
+    if (!entry || entry.method !== 0) {
+      return null;
+    }
+    return getZipEntryData(file, entry, slide.type || "application/octet-stream");
+  });
+}
+
+async function importSavedPackage(file) {
+  try {
+    if (await isZipFile(file)) {
+      return await importZipPackage(file);
+    }
+    return await importJsonPackage(file);
   } catch (error) {
     console.warn("Could not load saved slideshow", error);
     return { added: 0, total: 0, error: true };
   }
 }
 
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 async function handleSaveClick() {
   try {
-    const payload = await buildExportPayload();
-    const fileContents = JSON.stringify(payload, null, 2);
+    const scope = saveScopeSelect && saveScopeSelect.value === "all" ? "all" : "playlist";
     const timestamp = new Date().toISOString().replace(/[:]/g, "-");
-    const suggestedName = `lightning-slideshow-${timestamp}.json`;
-    const messageCount = payload.slides.length;
+    const activePlaylist = getActivePlaylist();
+    const nameSlug = scope === "playlist" && activePlaylist
+      ? activePlaylist.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "")
+      : "";
+    const suggestedName = `lightning-slideshow-${nameSlug ? `${nameSlug}-` : ""}${timestamp}.lss`;
+    const describeSaved = manifest => {
+      const messageCount = manifest.slides.length;
+      const playlistCount = manifest.playlists.length;
+      return `Saved ${messageCount} slide${messageCount === 1 ? "" : "s"}`
+        + (scope === "all" ? ` from ${playlistCount} playlist${playlistCount === 1 ? "" : "s"}.` : ".");
+    };
 
     if (typeof window.showSaveFilePicker === "function") {
+      let writable = null;
       try {
         const handle = await window.showSaveFilePicker({
           suggestedName,
@@ -342,16 +1452,12 @@ async function handleSaveClick() {
             {
               description: "Lightning Slideshow package",
               accept: {
-                "application/json": [".json"]
+                "application/zip": [".lss"]
               }
             }
           ]
         });
-        const writable = await handle.createWritable();
-        await writable.write(fileContents);
-        await writable.close();
-        showStatus(`Saved ${messageCount} slide${messageCount === 1 ? "" : "s"}.`);
-        return;
+        writable = await handle.createWritable();
       } catch (pickerError) {
         if (pickerError && pickerError.name === "AbortError") {
           showStatus("Save cancelled.");
@@ -359,75 +1465,262 @@ async function handleSaveClick() {
         }
         console.warn("Save picker failed, using download fallback", pickerError);
       }
+
+      if (writable) {
+        showStatus("Saving ...", false);
+        try {
+          const manifest = await writeExportPackage(scope, chunk => writable.write(chunk));
+          await writable.close();
+          showStatus(describeSaved(manifest));
+        } catch (writeError) {
+          await writable.abort().catch(() => {});
+          throw writeError;
+        }
+        return;
+      }
     }
 
-    const blob = new Blob([fileContents], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const anchor = document.createElement("a");
-    anchor.href = url;
-    anchor.download = suggestedName;
-    document.body.appendChild(anchor);
-    anchor.click();
-    anchor.remove();
-    setTimeout(() => URL.revokeObjectURL(url), 1000);
-    showStatus(`Saved ${messageCount} slide${messageCount === 1 ? "" : "s"}.`);
+    showStatus("Saving ...", false);
+    const parts = [];
+    const manifest = await writeExportPackage(scope, chunk => {
+      parts.push(chunk);
+    });
+    downloadBlob(new Blob(parts, { type: "application/zip" }), suggestedName);
+    showStatus(describeSaved(manifest));
   } catch (error) {
     console.warn("Could not create slideshow export", error);
     showStatus("Could not create export file.");
   }
 }
 
-function revokeAll() {
-  imageEntries.forEach(entry => URL.revokeObjectURL(entry.url));
+// Animated exports are encoded by a worker; the page only renders each slide
+// to RGBA pixels and keeps at most a couple of frames in flight.
+const ANIMATION_FORMATS = {
+  gif: { extension: ".gif" },
+  apng: { extension: ".png" }
+};
+const ANIMATION_QUALITIES = ["fast", "balanced", "best"];
+const DEFAULT_ANIMATION_EDGE = 480;
+const MAX_ANIMATION_EDGE = 2048;
+const ANIMATION_FRAMES_IN_FLIGHT = 2;
+let animationExport = null;
+
+function getAnimationEdge() {
+  const value = Math.round(Number(animationSizeInput.value));
+  if (!Number.isFinite(value) || value <= 0) {
+    return DEFAULT_ANIMATION_EDGE;
+  }
+  return Math.min(MAX_ANIMATION_EDGE, Math.max(16, value));
 }
 
-function fileSignature(file) {
-  return [file.name, file.type, file.size, file.lastModified].join("::");
+function updateAnimationControls() {
+  exportAnimationBtn.disabled = Boolean(animationExport);
+  animationCancelBtn.disabled = !animationExport;
 }
 
-function updateDropZoneMessage() {
-  if (statusTimeout) {
-    clearTimeout(statusTimeout);
-    statusTimeout = null;
+function cancelAnimationExport() {
+  if (animationExport) {
+    animationExport.cancel();
   }
+}
 
-  if (!imageEntries.length) {
-    dropZoneMessage.textContent = defaultDropText;
-  } else {
-    dropZoneMessage.textContent = `${imageEntries.length} image${imageEntries.length === 1 ? '' : 's'} ready.`;
+async function renderAnimationFrame(entry, context) {
+  const { width, height } = context.canvas;
+  context.fillStyle = "#000";
+  context.fillRect(0, 0, width, height);
+  const image = await decodeBlob(entry, width, height);
+  try {
+    const imageWidth = image.naturalWidth || image.width;
+    const imageHeight = image.naturalHeight || image.height;
+    if (imageWidth && imageHeight) {
+      const scale = Math.min(width / imageWidth, height / imageHeight);
+      const drawWidth = imageWidth * scale;
+      const drawHeight = imageHeight * scale;
+      context.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+  } finally {
+    if (typeof image.close === "function") {
+      image.close();
+    }
   }
+  return context.getImageData(0, 0, width, height).data.buffer;
 }
 
-function showStatus(message, revert = true, duration = 2400) {
-  if (statusTimeout) {
-    clearTimeout(statusTimeout);
-    statusTimeout = null;
+async function handleAnimationExportClick() {
+  if (animationExport) {
+    return;
   }
-
-  dropZoneMessage.textContent = message;
-
-  if (revert) {
-    statusTimeout = setTimeout(() => {
-      statusTimeout = null;
-      updateDropZoneMessage();
-    }, duration);
+  const entries = imageEntries.slice();
+  if (!entries.length) {
+    showStatus("Add images before exporting an animation.");
+    return;
   }
-}
-
-function collectFilesFromDataTransfer(data) {
-  if (!data) {
-    return [];
+  if (typeof Worker !== "function") {
+    showStatus("Animated export is not supported in this browser.");
+    return;
   }
 
-  const files = [];
-
-  if (data.files && data.files.length) {
-    files.push(...Array.from(data.files));
-  }
+  const format = ANIMATION_FORMATS[animationFormatSelect.value] ? animationFormatSelect.value : "gif";
+  const quality = ANIMATION_QUALITIES.includes(animationQualitySelect.value) ? animationQualitySelect.value : "balanced";
+  const edge = getAnimationEdge();
+  animationSizeInput.value = String(edge);
 
-  if (data.items && data.items.length) {
-    Array.from(data.items)
-      .filter(item => item.kind === "file")
+  const worker = new Worker("animation-worker.js", { type: "module" });
+  let stop = null;
+  let frameEncoded = null;
+  let encoded = 0;
+  const finished = new Promise((resolve, reject) => {
+    stop = reject;
+    worker.addEventListener("message", event => {
+      const message = event.data;
+      if (message.type === "progress") {
+        encoded = message.frames;
+        showStatus(`Encoding frame ${encoded} / ${entries.length} ...`, false);
+        if (frameEncoded) {
+          frameEncoded();
+          frameEncoded = null;
+        }
+      } else if (message.type === "done") {
+        resolve(message.blob);
+      } else if (message.type === "error") {
+        reject(new Error(message.message));
+      }
+    });
+    worker.addEventListener("error", event => {
+      reject(new Error(event.message || "Animation worker failed."));
+    });
+  });
+  let failure = null;
+  finished.catch(error => {
+    failure = error;
+  });
+  animationExport = {
+    cancel() {
+      stop(new DOMException("Animation export cancelled.", "AbortError"));
+    }
+  };
+  updateAnimationControls();
+  showStatus("Preparing animation ...", false);
+
+  try {
+    // The first slide decides the shape; the rest are letterboxed into it.
+    const first = await decodeBlob(entries[0], edge, edge);
+    const firstWidth = first.naturalWidth || first.width || edge;
+    const firstHeight = first.naturalHeight || first.height || edge;
+    if (typeof first.close === "function") {
+      first.close();
+    }
+    const scale = edge / Math.max(firstWidth, firstHeight);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(firstWidth * scale));
+    canvas.height = Math.max(1, Math.round(firstHeight * scale));
+    const context = canvas.getContext("2d", { alpha: false, willReadFrequently: true });
+
+    worker.postMessage({ type: "start", format, width: canvas.width, height: canvas.height, quality });
+    for (let i = 0; i < entries.length; i += 1) {
+      while (i - encoded >= ANIMATION_FRAMES_IN_FLIGHT) {
+        await Promise.race([new Promise(resolve => { frameEncoded = resolve; }), finished]);
+      }
+      const pixels = await renderAnimationFrame(entries[i], context);
+      if (failure) {
+        throw failure;
+      }
+      worker.postMessage({ type: "frame", pixels, delay: getEntryDuration(entries[i]) }, [pixels]);
+    }
+    worker.postMessage({ type: "finish" });
+    const blob = await finished;
+    const timestamp = new Date().toISOString().replace(/[:]/g, "-");
+    downloadBlob(blob, `lightning-slideshow-${timestamp}${ANIMATION_FORMATS[format].extension}`);
+    const sizeMb = (blob.size / (1024 * 1024)).toFixed(1);
+    showStatus(`Exported ${entries.length} frame${entries.length === 1 ? "" : "s"} as ${format.toUpperCase()} (${canvas.width}×${canvas.height}, ${sizeMb} MB).`);
+  } catch (error) {
+    if (error && error.name === "AbortError") {
+      showStatus("Animation export cancelled.");
+    } else {
+      console.warn("Could not export animation", error);
+      showStatus("Could not export animation.");
+    }
+  } finally {
+    worker.terminate();
+    animationExport = null;
+    updateAnimationControls();
+  }
+}
+
+function revokeAll() {
+  imageEntries.forEach(entry => URL.revokeObjectURL(entry.url));
+}
+
+function fileSignature(file) {
+  return [file.name, file.type, file.size, file.lastModified].join("::");
+}
+
+const CONTENT_SIGNATURE_PREFIX = "sha256-";
+const supportsContentHash = typeof crypto !== "undefined" && Boolean(crypto.subtle) && typeof crypto.subtle.digest === "function";
+
+function bytesToHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Slides are keyed by a SHA-256 of their bytes, so renamed copies, repeated
+// clipboard pastes and identical PDF pages all collapse into one slide.
+// `fallback` is only used where WebCrypto is unavailable (insecure contexts).
+async function contentSignature(data, fallback) {
+  if (supportsContentHash) {
+    try {
+      const bytes = data instanceof Blob ? await data.arrayBuffer() : data;
+      const digest = await crypto.subtle.digest("SHA-256", bytes);
+      return `${CONTENT_SIGNATURE_PREFIX}${bytesToHex(digest)}`;
+    } catch (error) {
+      console.warn("Could not hash slide contents", error);
+    }
+  }
+  return fallback || generateImportSignature();
+}
+
+function updateDropZoneMessage() {
+  if (statusTimeout) {
+    clearTimeout(statusTimeout);
+    statusTimeout = null;
+  }
+
+  if (!imageEntries.length) {
+    dropZoneMessage.textContent = defaultDropText;
+  } else {
+    dropZoneMessage.textContent = `${imageEntries.length} image${imageEntries.length === 1 ? '' : 's'} ready.`;
+  }
+}
+
+function showStatus(message, revert = true, duration = 2400) {
+  if (statusTimeout) {
+    clearTimeout(statusTimeout);
+    statusTimeout = null;
+  }
+
+  dropZoneMessage.textContent = message;
+
+  if (revert) {
+    statusTimeout = setTimeout(() => {
+      statusTimeout = null;
+      updateDropZoneMessage();
+    }, duration);
+  }
+}
+
+function collectFilesFromDataTransfer(data) {
+  if (!data) {
+    return [];
+  }
+
+  const files = [];
+
+  if (data.files && data.files.length) {
+    files.push(...Array.from(data.files));
+  }
+
+  if (data.items && data.items.length) {
+    Array.from(data.items)
+      .filter(item => item.kind === "file")
       .forEach(item => {
         const file = item.getAsFile();
         if (file) {
@@ -439,260 +1732,4007 @@ function collectFilesFromDataTransfer(data) {
   return files;
 }
 
-async function addImageFile(file) {
-  const signature = fileSignature(file);
-  if (imageSignatures.has(signature)) {
-    return 0;
-  }
+// Folders can be dropped or picked. Their files are collected recursively, sorted
+// in natural order by path ("img2" before "img10") and filtered by the include
+// and exclude extension lists from the import options.
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
 
-  const added = await registerEntry({
-    blob: file,
-    label: file.name || "Image",
-    signature
-  });
+function compareNaturalPaths(a, b) {
+  const partsA = a.split("/");
+  const partsB = b.split("/");
+  for (let index = 0; index < Math.min(partsA.length, partsB.length); index += 1) {
+    const order = naturalCollator.compare(partsA[index], partsB[index]);
+    if (order) {
+      return order;
+    }
+  }
+  return partsA.length - partsB.length;
+}
 
-  return added ? 1 : 0;
+function parseExtensionList(value) {
+  return String(value || "")
+    .toLowerCase()
+    .split(/[\s,;]+/)
+    .map(extension => extension.replace(/^\*?\./, ""))
+    .filter(Boolean);
 }
 
-function canvasToBlob(canvas) {
-  return new Promise((resolve, reject) => {
-    canvas.toBlob(blob => {
-      if (blob) {
-        resolve(blob);
-      } else {
-        reject(new Error("Could not create image from PDF."));
-      }
-    }, "image/png");
-  });
+function fileExtension(name) {
+  const match = /\.([^./]+)$/.exec(name || "");
+  return match ? match[1].toLowerCase() : "";
 }
 
-async function addPdfFile(file) {
-  if (!pdfSupported) {
-    return { added: 0, total: 0 };
+// Paths are relative to the folder or archive. Hidden files and folders such
+// as .DS_Store, .thumbnails/ or __MACOSX/ are always left out.
+function isImportPathIncluded(path) {
+  const parts = path.split("/");
+  if (parts.some(part => part.startsWith(".") || part === "__MACOSX")) {
+    return false;
   }
+  const include = parseExtensionList(importSettings.include);
+  const exclude = parseExtensionList(importSettings.exclude);
+  const extension = fileExtension(parts[parts.length - 1]);
+  return (!include.length || include.includes(extension)) && !exclude.includes(extension);
+}
 
-  const arrayBuffer = await file.arrayBuffer();
-  const loadingTask = pdfjsGlobal.getDocument({ data: arrayBuffer });
-  const pdfDoc = await loadingTask.promise;
-  const total = pdfDoc.numPages;
-  let added = 0;
+// Takes [{ file, path }] from a folder, paths starting with the folder's own
+// name, and returns the files to import.
+function orderFolderFiles(items) {
+  return items
+    .filter(({ path }) => isImportPathIncluded(path.split("/").slice(1).join("/")))
+    .sort((a, b) => compareNaturalPaths(a.path, b.path))
+    .map(({ file }) => file);
+}
 
-  try {
-    for (let pageNumber = 1; pageNumber <= total; pageNumber += 1) {
-      const pageSignature = `${fileSignature(file)}::page${pageNumber}`;
-      if (imageSignatures.has(pageSignature)) {
-        continue;
+function readEntryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+// readEntries hands back directory listings in chunks until it returns none.
+async function readDirectoryEntries(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  for (;;) {
+    const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!chunk.length) {
+      return entries;
+    }
+    entries.push(...chunk);
+  }
+}
+
+async function collectEntryFiles(entry, items) {
+  if (entry.isFile) {
+    try {
+      items.push({ file: await readEntryFile(entry), path: entry.fullPath.replace(/^\//, "") });
+    } catch (error) {
+      console.warn(`Could not read ${entry.fullPath}`, error);
+    }
+    return;
+  }
+  if (entry.isDirectory) {
+    try {
+      for (const child of await readDirectoryEntries(entry)) {
+        await collectEntryFiles(child, items);
       }
+    } catch (error) {
+      console.warn(`Could not read folder ${entry.fullPath}`, error);
+    }
+  }
+}
+
+async function collectHandleFiles(handle, path, items) {
+  if (handle.kind === "file") {
+    try {
+      items.push({ file: await handle.getFile(), path });
+    } catch (error) {
+      console.warn(`Could not read ${path}`, error);
+    }
+    return;
+  }
+  for await (const child of handle.values()) {
+    await collectHandleFiles(child, `${path}/${child.name}`, items);
+  }
+}
+
+// Entries have to be taken from the DataTransfer before the drop handler awaits
+// anything; the browser clears it afterwards.
+async function collectDroppedFiles(data) {
+  const entries = data && data.items
+    ? Array.from(data.items)
+      .filter(item => item.kind === "file" && typeof item.webkitGetAsEntry === "function")
+      .map(item => item.webkitGetAsEntry())
+      .filter(Boolean)
+    : [];
+  if (!entries.some(entry => entry.isDirectory)) {
+    return collectFilesFromDataTransfer(data);
+  }
 
-      let page;
+  const files = [];
+  for (const entry of entries) {
+    if (entry.isFile) {
       try {
-        page = await pdfDoc.getPage(pageNumber);
+        files.push(await readEntryFile(entry));
       } catch (error) {
-        console.warn(`Could not load page ${pageNumber} from ${file.name}`, error);
-        continue;
+        console.warn(`Could not read ${entry.name}`, error);
       }
+      continue;
+    }
+    const items = [];
+    await collectEntryFiles(entry, items);
+    files.push(...orderFolderFiles(items));
+  }
+  return files;
+}
 
-      const baseViewport = page.getViewport({ scale: 1 });
-      const maxDimension = Math.max(baseViewport.width, baseViewport.height);
-      const targetScale = Math.min(2.2, Math.max(1.2, 1400 / maxDimension));
-      const viewport = page.getViewport({ scale: targetScale });
-      const canvas = document.createElement("canvas");
-      const context = canvas.getContext("2d", { alpha: false });
+async function chooseFolder() {
+  if (typeof window.showDirectoryPicker !== "function") {
+    folderInput.value = "";
+    folderInput.click();
+    return;
+  }
+  let handle;
+  try {
+    handle = await window.showDirectoryPicker({ id: "lightning-slideshow-folder", mode: "read" });
+  } catch (error) {
+    if (error && error.name !== "AbortError") {
+      console.warn("Could not open folder", error);
+      showStatus("Could not open that folder.");
+    }
+    return;
+  }
+  showStatus(`Reading ${handle.name} ...`, false);
+  const items = [];
+  try {
+    await collectHandleFiles(handle, handle.name, items);
+  } catch (error) {
+    console.warn("Could not read folder", error);
+  }
+  await importChosenFiles(orderFolderFiles(items), "The folder has no files to import.");
+}
 
-      canvas.width = Math.ceil(viewport.width);
-      canvas.height = Math.ceil(viewport.height);
+// Links can be pasted, dropped or listed in the URL box. Each one is fetched,
+// checked by its content type and then imported like a local file, so remote
+// slides are stored and keep working offline. Failures are listed per link.
+const URL_PACKAGE_EXTENSIONS = ["json", "lss", "slideshow"];
+const GENERIC_CONTENT_TYPES = ["", "application/octet-stream", "binary/octet-stream"];
+const URL_FETCH_TIMEOUT = 30000;
 
-      try {
-        await page.render({ canvasContext: context, viewport }).promise;
-      } catch (renderError) {
-        console.warn(`Could not render page ${pageNumber} from ${file.name}`, renderError);
-        continue;
+function parseImportUrls(text) {
+  const urls = [];
+  String(text || "").split(/\s+/).forEach(word => {
+    // Links in running text often end in punctuation or sit in brackets.
+    const token = word.replace(/^[<("']+|[>)"',.;]+$/g, "");
+    if (!/^https?:\/\//i.test(token)) {
+      return;
+    }
+    try {
+      const href = new URL(token).href;
+      if (!urls.includes(href)) {
+        urls.push(href);
       }
+    } catch (error) {
+      // Looked like a link but is not one; leave it out.
+    }
+  });
+  return urls;
+}
 
-      let blob;
-      try {
-        blob = await canvasToBlob(canvas);
-      } catch (blobError) {
-        console.warn(`Could not store page ${pageNumber} as an image`, blobError);
-        continue;
-      }
+// Links have to be read before the drop handler awaits anything, like files.
+function getDataTransferUrls(data) {
+  if (!data || typeof data.getData !== "function") {
+    return [];
+  }
+  const uriList = data.getData("text/uri-list");
+  if (uriList) {
+    return parseImportUrls(uriList.split(/\r?\n/).filter(line => !line.startsWith("#")).join("\n"));
+  }
+  return parseImportUrls(data.getData("text/plain"));
+}
 
-      const registered = await registerEntry({
-        blob,
-        label: `${file.name || "PDF"} - page ${pageNumber}`,
-        signature: pageSignature
-      });
+function isEditableTarget(target) {
+  return Boolean(target) && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+}
 
-      if (registered) {
-        added += 1;
-      }
+// Returns the type to import a response as, or "" when the slideshow cannot use
+// it. Responses with a generic type are judged by their file extension.
+function resolveUrlType(contentType, name) {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (type.startsWith("image/") || type === "application/pdf" || type === "application/json") {
+    return type;
+  }
+  if (!GENERIC_CONTENT_TYPES.includes(type)) {
+    return "";
+  }
+  const extension = fileExtension(name);
+  if (URL_PACKAGE_EXTENSIONS.includes(extension)) {
+    return type || "application/octet-stream";
+  }
+  return ARCHIVE_MEMBER_TYPES[extension] || "";
+}
+
+function getUrlFileName(url, type) {
+  const { hostname, pathname } = new URL(url);
+  const segment = pathname.split("/").pop() || "";
+  let name = segment;
+  try {
+    name = decodeURIComponent(segment);
+  } catch (error) {
+    // Keep the encoded name.
+  }
+  name = name || hostname;
+  const extension = Object.keys(ARCHIVE_MEMBER_TYPES).find(key => ARCHIVE_MEMBER_TYPES[key] === type);
+  if (extension && !ARCHIVE_MEMBER_TYPES[fileExtension(name)]) {
+    name += `.${extension}`;
+  }
+  return name;
+}
+
+// Resolves with a File, or rejects with an error whose message says why the
+// link could not be used.
+async function fetchUrlFile(url) {
+  const controller = typeof AbortController === "function" ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), URL_FETCH_TIMEOUT) : null;
+  try {
+    let response;
+    try {
+      response = await fetch(url, { mode: "cors", credentials: "omit", signal: controller ? controller.signal : undefined });
+    } catch (error) {
+      throw new Error(error && error.name === "AbortError"
+        ? "timed out"
+        : "blocked by the server (CORS) or unreachable");
     }
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? "not found (404)" : `the server answered ${response.status}`);
+    }
+    const contentType = response.headers.get("content-type") || "";
+    const finalUrl = response.url || url;
+    const type = resolveUrlType(contentType, getUrlFileName(finalUrl, ""));
+    if (!type) {
+      throw new Error(`not an image, PDF or saved slideshow (${contentType.split(";")[0] || "unknown type"})`);
+    }
+    const blob = await response.blob();
+    const modified = Date.parse(response.headers.get("last-modified") || "");
+    return new File([blob], getUrlFileName(finalUrl, type), {
+      type,
+      lastModified: Number.isFinite(modified) ? modified : Date.now()
+    });
   } finally {
-    await pdfDoc.cleanup();
-    await pdfDoc.destroy();
+    if (timer) {
+      clearTimeout(timer);
+    }
   }
+}
 
-  return { added, total };
+function renderUrlFailures(failures) {
+  urlImportErrors.replaceChildren(...failures.map(({ url, reason }) => {
+    const item = document.createElement("li");
+    const link = document.createElement("span");
+    link.className = "url-import-link";
+    link.textContent = url;
+    item.append(link, `: ${reason}`);
+    return item;
+  }));
+  urlImportErrors.classList.toggle("hidden", failures.length === 0);
+  if (failures.length) {
+    urlImport.open = true;
+  }
 }
 
-async function addFiles(files) {
-  if (!files || !files.length) {
-    return { added: 0, supported: 0, unsupported: 0, pdfUnsupported: 0, packageSlidesAdded: 0, packagesProcessed: 0, packageErrors: 0, packageSlidesTotal: 0 };
+// Resolves with the failures, each { url, reason }. `invalid` holds lines from
+// the URL box that are not links, so they are reported alongside.
+async function importUrls(urls, invalid = []) {
+  const files = [];
+  const failures = invalid.map(url => ({ url, reason: "not an http(s) link" }));
+  for (const [index, url] of urls.entries()) {
+    showStatus(`Fetching link ${index + 1} of ${urls.length} ...`, false);
+    try {
+      files.push(await fetchUrlFile(url));
+    } catch (error) {
+      console.warn(`Could not fetch ${url}`, error);
+      failures.push({ url, reason: error.message });
+    }
   }
+  renderUrlFailures(failures);
 
-  const incoming = Array.from(files);
-  let added = 0;
-  let supported = 0;
-  let unsupported = 0;
-  let pdfUnsupported = 0;
-  let packageSlidesAdded = 0;
-  let packagesProcessed = 0;
-  let packageErrors = 0;
-  let packageSlidesTotal = 0;
+  const notes = failures.length
+    ? [`${failures.length} link${failures.length === 1 ? "" : "s"} could not be imported; see Import from links.`]
+    : [];
+  if (files.length) {
+    await importChosenFiles(files, "", notes);
+  } else {
+    showStatus(notes.join(" ") || "Found no links to import.");
+  }
+  return failures;
+}
 
-  for (const file of incoming) {
-    const name = (file.name || "").toLowerCase();
-    const isPackageCandidate = file.type === "application/json" || name.endsWith(".json") || name.endsWith(".lss") || name.endsWith(".slideshow");
+async function importUrlList() {
+  const lines = urlListInput.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const invalid = lines.filter(line => !parseImportUrls(line).length);
+  const urls = parseImportUrls(lines.join("\n"));
+  if (!urls.length && !invalid.length) {
+    showStatus("Add one link per line first.");
+    return;
+  }
+  urlImportBtn.disabled = true;
+  try {
+    const failures = await importUrls(urls, invalid);
+    // Only the links that failed stay in the box, ready for another try.
+    urlListInput.value = failures.map(failure => failure.url).join("\n");
+  } finally {
+    urlImportBtn.disabled = false;
+  }
+}
 
-    if (isPackageCandidate) {
-      const packageResult = await importSavedPackage(file);
-      if (packageResult.error) {
-        unsupported += 1;
-        packageErrors += 1;
-      } else {
-        packagesProcessed += 1;
-        const totalSlides = Number(packageResult.total) || 0;
-        const addedSlides = Number(packageResult.added) || 0;
-        supported += totalSlides;
-        packageSlidesTotal += totalSlides;
-        added += addedSlides;
-        packageSlidesAdded += addedSlides;
-      }
-      continue;
-    }
+// Other apps can share images, PDFs, saves and links to the installed app. The
+// service worker takes the shared form post, redirects to #share-target and
+// hands the items over once this page asks for them.
+const SHARE_TARGET_HASH = "#share-target";
 
-    if (file.type.startsWith("image/")) {
-      supported += 1;
-      added += await addImageFile(file);
-      continue;
+function receiveSharedItems() {
+  if (location.hash !== SHARE_TARGET_HASH || !("serviceWorker" in navigator)) {
+    return;
+  }
+  // Drop the marker so a reload does not ask again.
+  history.replaceState(null, "", `${location.pathname}${location.search}`);
+  navigator.serviceWorker.addEventListener("message", event => {
+    if (event.data && event.data.type === "share") {
+      void importSharedItems(event.data);
     }
+  });
+  navigator.serviceWorker.startMessages();
+  navigator.serviceWorker.ready.then(registration => {
+    (navigator.serviceWorker.controller || registration.active).postMessage({ type: "share-ready" });
+  }).catch(error => {
+    console.warn("Could not receive shared items", error);
+  });
+}
 
-    if (file.type === "application/pdf") {
-      supported += 1;
-      if (!pdfSupported) {
-        pdfUnsupported += 1;
-        continue;
-      }
+async function importSharedItems({ files = [], text = "" }) {
+  const urls = parseImportUrls(text);
+  if (files.length) {
+    await importChosenFiles(files);
+  }
+  if (urls.length) {
+    await importUrls(urls);
+  }
+  if (!files.length && !urls.length) {
+    showStatus("The share held nothing to import.");
+  }
+}
 
-      showStatus(`Processing ${file.name || "PDF"} ...`, false, 6000);
-      try {
-        const { added: pagesAdded } = await addPdfFile(file);
-        added += pagesAdded;
-      } catch (error) {
-        console.warn("Could not process PDF", error);
-        showStatus(`Unable to read ${file.name || "PDF"}.`);
-      }
-      continue;
-    }
+// Imported photos can be scaled down and re-encoded in a worker before they are
+// stored. Slides stay keyed by the hash of the original file, so dropping the
+// same photo again is still recognised as a duplicate.
+const IMPORT_FORMATS = ["webp", "jpeg", "original"];
+const VIDEO_FRAME_MODES = ["off", "interval", "scene"];
+const DEFAULT_IMPORT_SETTINGS = {
+  optimize: false,
+  maxEdge: 2560,
+  format: "webp",
+  quality: 85,
+  keepOriginal: false,
+  include: "",
+  exclude: "",
+  splitAnimations: false,
+  videoFrames: "off",
+  frameInterval: 1000,
+  sceneChange: 25
+};
+const REENCODABLE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/avif", "image/bmp"];
+const importSettingsStorageKey = "lightning-slideshow-import";
+const supportsImportWorker = typeof Worker === "function" && typeof OffscreenCanvas === "function";
+let importSettings = { ...DEFAULT_IMPORT_SETTINGS };
+let importWorkers = [];
+let importRequestId = 0;
+const importRequests = new Map();
 
-    unsupported += 1;
+function normalizeImportSettings(value) {
+  const source = value && typeof value === "object" ? value : {};
+  return {
+    optimize: Boolean(source.optimize),
+    maxEdge: clampSetting(source.maxEdge, 0, 16384, DEFAULT_IMPORT_SETTINGS.maxEdge),
+    format: IMPORT_FORMATS.includes(source.format) ? source.format : DEFAULT_IMPORT_SETTINGS.format,
+    quality: clampSetting(source.quality, 10, 100, DEFAULT_IMPORT_SETTINGS.quality),
+    keepOriginal: Boolean(source.keepOriginal),
+    include: parseExtensionList(source.include).join(", "),
+    exclude: parseExtensionList(source.exclude).join(", "),
+    splitAnimations: Boolean(source.splitAnimations),
+    videoFrames: VIDEO_FRAME_MODES.includes(source.videoFrames) ? source.videoFrames : DEFAULT_IMPORT_SETTINGS.videoFrames,
+    frameInterval: clampSetting(source.frameInterval, 40, 600000, DEFAULT_IMPORT_SETTINGS.frameInterval),
+    sceneChange: clampSetting(source.sceneChange, 1, 100, DEFAULT_IMPORT_SETTINGS.sceneChange)
+  };
+}
+
+function storeImportSettings(settings) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(importSettingsStorageKey, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not persist import settings", error);
   }
+}
 
-  if (added) {
-    updateDropZoneMessage();
-    if (!isRunning) {
-      startBtn.disabled = imageEntries.length === 0;
-    }
-  } else if (!imageEntries.length) {
+function getStoredImportSettings() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    const raw = localStorage.getItem(importSettingsStorageKey);
+    if (raw !== null) {
+      return normalizeImportSettings(JSON.parse(raw));
+    }
+  } catch (error) {
+    console.warn("Could not read import settings", error);
+  }
+  return null;
+}
+
+function readImportSettings() {
+  return normalizeImportSettings({
+    optimize: importOptimizeInput.checked,
+    maxEdge: importMaxEdgeInput.value,
+    format: importFormatSelect.value,
+    quality: importQualityInput.value,
+    keepOriginal: importKeepOriginalInput.checked,
+    include: importIncludeInput.value,
+    exclude: importExcludeInput.value,
+    splitAnimations: importSplitAnimationsInput.checked,
+    videoFrames: importVideoFramesSelect.value,
+    frameInterval: importFrameIntervalInput.value,
+    sceneChange: importSceneChangeInput.value
+  });
+}
+
+function applyImportSettings(settings, { persist = true } = {}) {
+  importSettings = normalizeImportSettings(settings);
+  importOptimizeInput.checked = importSettings.optimize;
+  importOptimizeInput.disabled = !supportsImportWorker;
+  importMaxEdgeInput.value = String(importSettings.maxEdge);
+  importFormatSelect.value = importSettings.format;
+  importQualityInput.value = String(importSettings.quality);
+  importKeepOriginalInput.checked = importSettings.keepOriginal;
+  importIncludeInput.value = importSettings.include;
+  importExcludeInput.value = importSettings.exclude;
+  importSplitAnimationsInput.checked = importSettings.splitAnimations;
+  importVideoFramesSelect.value = importSettings.videoFrames;
+  importFrameIntervalInput.value = String(importSettings.frameInterval);
+  importFrameIntervalInput.disabled = importSettings.videoFrames === "off";
+  importSceneChangeInput.value = String(importSettings.sceneChange);
+  importSceneChangeInput.disabled = importSettings.videoFrames !== "scene";
+  if (persist) {
+    storeImportSettings(importSettings);
+  }
+}
+
+function restoreImportSetting() {
+  applyImportSettings(getStoredImportSettings() || DEFAULT_IMPORT_SETTINGS, { persist: false });
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(0, Math.round(bytes / 1024))} KB`;
+  }
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+function createImportWorker() {
+  const worker = new Worker("import-worker.js", { type: "module" });
+  worker.addEventListener("message", event => {
+    const { id, error, ...result } = event.data;
+    const pending = importRequests.get(id);
+    if (!pending) {
+      return;
+    }
+    importRequests.delete(id);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  });
+  worker.addEventListener("error", event => {
+    console.warn("Import worker failed", event.message);
+    importRequests.forEach((pending, id) => {
+      if (pending.worker === worker) {
+        importRequests.delete(id);
+        pending.reject(new Error("Import worker failed."));
+      }
+    });
+    worker.terminate();
+    importWorkers = importWorkers.filter(item => item !== worker);
+  });
+  importWorkers.push(worker);
+  return worker;
+}
+
+// Requests are spread over up to IMPORT_CONCURRENCY workers, least busy first.
+function getImportWorker() {
+  const load = new Map(importWorkers.map(worker => [worker, 0]));
+  importRequests.forEach(pending => load.set(pending.worker, (load.get(pending.worker) || 0) + 1));
+  let best = null;
+  load.forEach((count, worker) => {
+    if (!best || count < load.get(best)) {
+      best = worker;
+    }
+  });
+  if (!best || (load.get(best) > 0 && importWorkers.length < IMPORT_CONCURRENCY)) {
+    return createImportWorker();
+  }
+  return best;
+}
+
+function runImportWorker(message) {
+  return new Promise((resolve, reject) => {
+    importRequestId += 1;
+    const worker = getImportWorker();
+    importRequests.set(importRequestId, { resolve, reject, worker });
+    worker.postMessage({ ...message, id: importRequestId });
+  });
+}
+
+// Resolves with the blob to store and the bytes saved against the original.
+async function optimizeImage(file) {
+  if (!importSettings.optimize || !supportsImportWorker || !REENCODABLE_TYPES.includes(file.type)) {
+    return { blob: file, saved: 0 };
+  }
+  const type = importSettings.format === "original"
+    ? (file.type === "image/jpeg" || file.type === "image/webp" ? file.type : "image/png")
+    : `image/${importSettings.format}`;
+  try {
+    const result = await runImportWorker({
+      blob: file,
+      maxEdge: importSettings.maxEdge,
+      type,
+      quality: importSettings.quality
+    });
+    // A re-encode that grew the file only helps if the image had to be scaled down.
+    if (!result.blob || (!result.resized && result.blob.size >= file.size)) {
+      return { blob: file, saved: 0 };
+    }
+    return { blob: result.blob, saved: file.size - result.blob.size };
+  } catch (error) {
+    console.warn(`Could not optimize ${file.name || "image"}, keeping the original`, error);
+    return { blob: file, saved: 0 };
+  }
+}
+
+// Hashing and re-encoding run ahead of time for several images at once;
+// registering stays in drop order so the slides keep their order.
+async function prepareImageFile(file, label = file.name || "Image") {
+  const signature = await contentSignature(file, fileSignature(file));
+  if (imageSignatures.has(signature)) {
+    return { file, label, signature, duplicate: true };
+  }
+  const { blob, saved } = await optimizeImage(file);
+  return { file, label, signature, blob, saved, duplicate: false };
+}
+
+async function registerImageFile({ file, label, signature, blob, saved, duplicate }) {
+  if (duplicate) {
+    return { added: 0, duplicates: 1, saved: 0 };
+  }
+
+  const keepOriginal = blob !== file && importSettings.keepOriginal;
+  const added = await registerEntry({
+    blob,
+    label,
+    signature,
+    original: keepOriginal ? file : null
+  });
+
+  return {
+    added: added ? 1 : 0,
+    duplicates: added ? 0 : 1,
+    saved: added && !keepOriginal ? saved : 0
+  };
+}
+
+function canvasToBlob(canvas, type = "image/png", quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error("Could not create image from canvas."));
+      }
+    }, type, quality);
+  });
+}
+
+// PDF pages are rendered to images as they are imported. A dialog asks which
+// pages to take and at what size and format; rendering runs in a worker with
+// OffscreenCanvas and falls back to the page where that is not available.
+const PDF_FORMATS = ["png", "jpeg", "webp"];
+const DEFAULT_PDF_SETTINGS = { maxEdge: 1920, format: "png", quality: 90 };
+const MIN_PDF_EDGE = 256;
+const MAX_PDF_EDGE = 8192;
+const pdfSettingsStorageKey = "lightning-slideshow-pdf";
+const supportsPdfWorker = typeof Worker === "function" && typeof OffscreenCanvas === "function";
+let pdfSettings = { ...DEFAULT_PDF_SETTINGS };
+let pdfDialogRequest = null;
+let pdfRendering = null;
+
+function normalizePdfSettings(value) {
+  const source = value && typeof value === "object" ? value : {};
+  return {
+    maxEdge: clampSetting(source.maxEdge, MIN_PDF_EDGE, MAX_PDF_EDGE, DEFAULT_PDF_SETTINGS.maxEdge),
+    format: PDF_FORMATS.includes(source.format) ? source.format : DEFAULT_PDF_SETTINGS.format,
+    quality: clampSetting(source.quality, 10, 100, DEFAULT_PDF_SETTINGS.quality)
+  };
+}
+
+function storePdfSettings(settings) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(pdfSettingsStorageKey, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not persist PDF settings", error);
+  }
+}
+
+function getStoredPdfSettings() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    const raw = localStorage.getItem(pdfSettingsStorageKey);
+    if (raw !== null) {
+      return normalizePdfSettings(JSON.parse(raw));
+    }
+  } catch (error) {
+    console.warn("Could not read PDF settings", error);
+  }
+  return null;
+}
+
+function readPdfSettings() {
+  return normalizePdfSettings({
+    maxEdge: pdfMaxEdgeInput.value,
+    format: pdfFormatSelect.value,
+    quality: pdfQualityInput.value
+  });
+}
+
+function applyPdfSettings(settings, { persist = true } = {}) {
+  pdfSettings = normalizePdfSettings(settings);
+  pdfMaxEdgeInput.value = String(pdfSettings.maxEdge);
+  pdfFormatSelect.value = pdfSettings.format;
+  pdfQualityInput.value = String(pdfSettings.quality);
+  pdfQualityInput.disabled = pdfSettings.format === "png";
+  if (persist) {
+    storePdfSettings(pdfSettings);
+  }
+}
+
+function restorePdfSetting() {
+  applyPdfSettings(getStoredPdfSettings() || DEFAULT_PDF_SETTINGS, { persist: false });
+}
+
+// Parses "1-3, 5, 8-" into sorted page numbers. An empty range means every
+// page; anything unreadable or outside the document returns null.
+function parsePageRanges(text, pageCount) {
+  const value = String(text || "").trim();
+  if (!value) {
+    return Array.from({ length: pageCount }, (_, index) => index + 1);
+  }
+  const pages = new Set();
+  for (const part of value.split(/[,;]/)) {
+    const match = part.trim().match(/^(\d*)\s*(-?)\s*(\d*)$/);
+    if (!match || (!match[1] && !match[3])) {
+      return null;
+    }
+    const first = match[1] ? Number(match[1]) : 1;
+    const last = match[2] ? (match[3] ? Number(match[3]) : pageCount) : first;
+    if (first < 1 || last > pageCount || first > last) {
+      return null;
+    }
+    for (let page = first; page <= last; page += 1) {
+      pages.add(page);
+    }
+  }
+  return [...pages].sort((a, b) => a - b);
+}
+
+function setPdfDialogRendering(rendering) {
+  pdfPagesInput.disabled = rendering;
+  pdfMaxEdgeInput.disabled = rendering;
+  pdfFormatSelect.disabled = rendering;
+  pdfQualityInput.disabled = rendering || pdfFormatSelect.value === "png";
+  pdfApplyAllInput.disabled = rendering;
+  pdfImportBtn.classList.toggle("hidden", rendering);
+  pdfProgress.classList.toggle("hidden", !rendering);
+  pdfProgressText.classList.toggle("hidden", !rendering);
+  pdfCancelBtn.textContent = rendering ? "Cancel" : "Skip";
+}
+
+// Resolves with { pages, maxEdge, format, quality, applyToAll } or null when
+// the PDF is skipped. The dialog stays open to show rendering progress.
+function choosePdfOptions(name, pageCount) {
+  pdfDialogTitle.textContent = `Import ${name}`;
+  pdfPageCount.textContent = `${pageCount} page${pageCount === 1 ? "" : "s"}`;
+  pdfPagesInput.value = "";
+  pdfDialogError.textContent = "";
+  applyPdfSettings(pdfSettings, { persist: false });
+  setPdfDialogRendering(false);
+  if (!pdfDialog.open) {
+    pdfDialog.showModal();
+  }
+  pdfPagesInput.focus();
+  return new Promise(resolve => {
+    pdfDialogRequest = { pageCount, resolve };
+  });
+}
+
+function submitPdfDialog() {
+  if (!pdfDialogRequest) {
+    return;
+  }
+  const pages = parsePageRanges(pdfPagesInput.value, pdfDialogRequest.pageCount);
+  if (!pages || !pages.length) {
+    pdfDialogError.textContent = `Enter pages between 1 and ${pdfDialogRequest.pageCount}, e.g. 1-3, 5, 8-.`;
+    pdfPagesInput.focus();
+    return;
+  }
+  applyPdfSettings(readPdfSettings());
+  const { resolve } = pdfDialogRequest;
+  pdfDialogRequest = null;
+  resolve({ pages, ...pdfSettings, applyToAll: pdfApplyAllInput.checked });
+}
+
+function cancelPdfDialog() {
+  if (pdfDialogRequest) {
+    const { resolve } = pdfDialogRequest;
+    pdfDialogRequest = null;
+    closePdfDialog();
+    resolve(null);
+    return;
+  }
+  if (pdfRendering) {
+    pdfRendering.cancelled = true;
+    pdfProgressText.textContent = "Cancelling ...";
+    pdfRendering.renderer.close();
+  }
+}
+
+function closePdfDialog() {
+  if (pdfDialog.open) {
+    pdfDialog.close();
+  }
+}
+
+function updatePdfProgress(done, total) {
+  pdfProgress.max = total;
+  pdfProgress.value = done;
+  pdfProgressText.textContent = `Rendered ${done} of ${total} page${total === 1 ? "" : "s"}`;
+}
+
+// Talks to a worker that answers { id, ...message } with { id, ...result } or
+// { id, error }. One client owns one worker; `close` terminates it and fails
+// whatever is still pending.
+function createWorkerClient(url, label) {
+  const worker = new Worker(url, { type: "module" });
+  const requests = new Map();
+  let requestId = 0;
+
+  function fail(error) {
+    requests.forEach(pending => pending.reject(error));
+    requests.clear();
+  }
+
+  function request(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      requestId += 1;
+      requests.set(requestId, { resolve, reject });
+      worker.postMessage({ ...message, id: requestId }, transfer);
+    });
+  }
+
+  function close() {
+    worker.terminate();
+    fail(new Error(`${label} was stopped.`));
+  }
+
+  worker.addEventListener("message", event => {
+    const { id, error, ...result } = event.data || {};
+    const pending = requests.get(id);
+    if (!pending) {
+      return;
+    }
+    requests.delete(id);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  });
+  worker.addEventListener("error", event => {
+    console.warn(`${label} failed`, event.message);
+    close();
+  });
+
+  return { request, close };
+}
+
+// A renderer has { pageCount, renderPage(pageNumber, settings), close() };
+// renderPage resolves with an image blob.
+async function openPdfWorkerRenderer(data) {
+  const { request, close } = createWorkerClient("pdf-worker.js", "PDF rendering");
+  try {
+    const { pageCount, fonts } = await request({ type: "open", data }, [data]);
+    const renderPage = async (pageNumber, settings) => (await request({ type: "render", pageNumber, ...settings })).blob;
+    return { pageCount, fonts, renderPage, close };
+  } catch (error) {
+    close();
+    throw error;
+  }
+}
+
+async function openPdfPageRenderer(data) {
+  const pdfDoc = await pdfjsGlobal.getDocument({ data }).promise;
+  let closed = false;
+
+  async function renderPage(pageNumber, { maxEdge, format, quality }) {
+    const page = await pdfDoc.getPage(pageNumber);
+    const baseViewport = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: maxEdge / Math.max(baseViewport.width, baseViewport.height) });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await page.render({ canvasContext: canvas.getContext("2d", { alpha: false }), viewport }).promise;
+    page.cleanup();
+    return canvasToBlob(canvas, `image/${format}`, quality / 100);
+  }
+
+  function close() {
+    if (!closed) {
+      closed = true;
+      pdfDoc.destroy();
+    }
+  }
+
+  return { pageCount: pdfDoc.numPages, fonts: true, renderPage, close };
+}
+
+async function openPdfRenderer(file) {
+  if (supportsPdfWorker) {
+    try {
+      const renderer = await openPdfWorkerRenderer(await file.arrayBuffer());
+      if (renderer.fonts) {
+        return renderer;
+      }
+      renderer.close();
+    } catch (error) {
+      console.warn("Could not open PDF in a worker, rendering on the page", error);
+    }
+  }
+  return openPdfPageRenderer(await file.arrayBuffer());
+}
+
+// `preset` carries the options chosen for an earlier PDF in the same import
+// when "use for the other PDFs" was ticked; the dialog is then skipped.
+async function addPdfFile(file, preset = null, name = file.name || "PDF") {
+  if (!pdfSupported) {
+    return { added: 0, total: 0, duplicates: 0, options: null };
+  }
+
+  const renderer = await openPdfRenderer(file);
+  const total = renderer.pageCount;
+  let added = 0;
+  let duplicates = 0;
+  let options = null;
+
+  try {
+    if (preset) {
+      options = { ...preset, pages: preset.pages.filter(page => page <= total) };
+      pdfDialogTitle.textContent = `Import ${name}`;
+      pdfPageCount.textContent = `${total} page${total === 1 ? "" : "s"}`;
+      pdfDialogError.textContent = "";
+      if (!pdfDialog.open) {
+        pdfDialog.showModal();
+      }
+    } else {
+      options = await choosePdfOptions(name, total);
+    }
+    if (!options) {
+      return { added, total, duplicates, options: null };
+    }
+
+    pdfRendering = { renderer, cancelled: false };
+    setPdfDialogRendering(true);
+    updatePdfProgress(0, options.pages.length);
+    for (const [index, pageNumber] of options.pages.entries()) {
+      if (pdfRendering.cancelled) {
+        break;
+      }
+      let blob;
+      try {
+        blob = await renderer.renderPage(pageNumber, options);
+      } catch (error) {
+        if (!pdfRendering.cancelled) {
+          console.warn(`Could not render page ${pageNumber} from ${name}`, error);
+          updatePdfProgress(index + 1, options.pages.length);
+        }
+        continue;
+      }
+
+      const pageSignature = await contentSignature(blob, `${fileSignature(file)}::page${pageNumber}`);
+      const registered = await registerEntry({
+        blob,
+        label: `${name} - page ${pageNumber}`,
+        signature: pageSignature
+      });
+
+      if (registered) {
+        added += 1;
+      } else {
+        duplicates += 1;
+      }
+      noteImportPages(1);
+      updatePdfProgress(index + 1, options.pages.length);
+      reportImportFileProgress((index + 1) / options.pages.length);
+    }
+  } finally {
+    pdfRendering = null;
+    renderer.close();
+    closePdfDialog();
+  }
+
+  return { added, total, duplicates, options };
+}
+
+// Text slides are drawn from phrases typed into the loader. Each one keeps the
+// text and style it was made from, so it can be edited and drawn again later.
+const TEXT_SLIDE_WIDTH = 1920;
+const TEXT_SLIDE_HEIGHT = 1080;
+const TEXT_FONTS = {
+  sans: '"Segoe UI", Arial, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: 'Consolas, "Courier New", monospace',
+  display: 'Impact, "Arial Black", sans-serif',
+  script: '"Segoe Print", "Comic Sans MS", cursive'
+};
+const MIN_TEXT_SIZE = 12;
+const MAX_TEXT_SIZE = 400;
+const DEFAULT_TEXT_STYLE = { font: "sans", size: 120, color: "#ffffff", background: "#000000" };
+const textStyleStorageKey = "lightning-slideshow-text-style";
+let editingTextSignature = null;
+
+function normalizeColor(value, fallback) {
+  return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback;
+}
+
+function normalizeTextStyle(style) {
+  const source = style && typeof style === "object" ? style : {};
+  const size = Math.round(Number(source.size));
+  return {
+    font: Object.prototype.hasOwnProperty.call(TEXT_FONTS, source.font) ? source.font : DEFAULT_TEXT_STYLE.font,
+    size: Number.isFinite(size) && size > 0 ? Math.min(MAX_TEXT_SIZE, Math.max(MIN_TEXT_SIZE, size)) : DEFAULT_TEXT_STYLE.size,
+    color: normalizeColor(source.color, DEFAULT_TEXT_STYLE.color),
+    background: normalizeColor(source.background, DEFAULT_TEXT_STYLE.background)
+  };
+}
+
+function normalizeTextSource(value) {
+  if (!value || typeof value !== "object" || typeof value.text !== "string" || !value.text.trim()) {
+    return null;
+  }
+  return { text: value.text.trim(), ...normalizeTextStyle(value) };
+}
+
+function storeTextStyle(style) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(textStyleStorageKey, JSON.stringify(style));
+  } catch (error) {
+    console.warn("Could not persist text slide style", error);
+  }
+}
+
+function getStoredTextStyle() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    const raw = localStorage.getItem(textStyleStorageKey);
+    if (raw !== null) {
+      return normalizeTextStyle(JSON.parse(raw));
+    }
+  } catch (error) {
+    console.warn("Could not read text slide style", error);
+  }
+  return null;
+}
+
+function readTextStyle() {
+  return normalizeTextStyle({
+    font: textFontSelect.value,
+    size: textSizeInput.value,
+    color: textColorInput.value,
+    background: textBackgroundInput.value
+  });
+}
+
+function applyTextStyle(style, { persist = true } = {}) {
+  const value = normalizeTextStyle(style);
+  textFontSelect.value = value.font;
+  textSizeInput.value = String(value.size);
+  textColorInput.value = value.color;
+  textBackgroundInput.value = value.background;
+  if (persist) {
+    storeTextStyle(value);
+  }
+  return value;
+}
+
+function restoreTextStyleSetting() {
+  applyTextStyle(getStoredTextStyle() || DEFAULT_TEXT_STYLE, { persist: false });
+}
+
+function textSlideLabel(text) {
+  return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+}
+
+function textSlideFallbackSignature(source) {
+  return `text::${source.font}::${source.size}::${source.color}::${source.background}::${source.text}`;
+}
+
+function wrapTextLines(context, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && context.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+function renderTextSlide(source) {
+  const canvas = document.createElement("canvas");
+  canvas.width = TEXT_SLIDE_WIDTH;
+  canvas.height = TEXT_SLIDE_HEIGHT;
+  const context = canvas.getContext("2d");
+  context.fillStyle = source.background;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  const maxWidth = canvas.width * 0.9;
+  const maxHeight = canvas.height * 0.9;
+  let size = source.size;
+  let lines;
+  // Shrink the text until the wrapped block fits inside the slide.
+  for (;;) {
+    context.font = `600 ${size}px ${TEXT_FONTS[source.font]}`;
+    lines = wrapTextLines(context, source.text, maxWidth);
+    const fits = lines.length * size * 1.2 <= maxHeight
+      && lines.every(line => context.measureText(line).width <= maxWidth);
+    if (fits || size <= MIN_TEXT_SIZE) {
+      break;
+    }
+    size = Math.max(MIN_TEXT_SIZE, Math.floor(size * 0.9));
+  }
+
+  const lineHeight = size * 1.2;
+  const top = canvas.height / 2 - ((lines.length - 1) * lineHeight) / 2;
+  context.fillStyle = source.color;
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  lines.forEach((line, index) => {
+    context.fillText(line, canvas.width / 2, top + index * lineHeight);
+  });
+  return canvasToBlob(canvas);
+}
+
+// Swaps a text slide for a new rendering. The content hash changes, so the record
+// is rekeyed and every playlist that shares the slide follows it.
+async function replaceTextSlide(signature, source) {
+  const entry = imageEntries.find(item => item.signature === signature);
+  if (!entry) {
+    return false;
+  }
+  const blob = await renderTextSlide(source);
+  const newSignature = await contentSignature(blob, textSlideFallbackSignature(source));
+  if (newSignature !== signature && imageSignatures.has(newSignature)) {
+    return false;
+  }
+
+  // Labels that were generated from the old text follow the new text.
+  const relabel = current => (!current || !entry.textSource || current === textSlideLabel(entry.textSource.text)
+    ? textSlideLabel(source.text)
+    : current);
+  const label = relabel(entry.label);
+  const records = await getSlideRecords([signature]);
+  const previous = records.get(signature) || {};
+  const record = {
+    ...previous,
+    signature: newSignature,
+    label: relabel(previous.label),
+    addedAt: previous.addedAt || Date.now(),
+    weight: normalizeWeight(previous.weight),
+    duration: normalizeDuration(previous.duration),
+    textSource: source,
+    bytes: await blob.arrayBuffer(),
+    type: blob.type
+  };
+  delete record.blob;
+
+  const renamed = new Map([[signature, newSignature]]);
+  const updatedPlaylists = playlists.filter(playlist => playlist.signatures.includes(signature));
+  updatedPlaylists.forEach(playlist => {
+    playlist.signatures = playlist.signatures.map(item => (item === signature ? newSignature : item));
+    playlist.overrides = renameSlideOverrides(playlist, renamed);
+  });
+
+  URL.revokeObjectURL(entry.url);
+  Object.assign(entry, { url: URL.createObjectURL(blob), blob, signature: newSignature, label, textSource: source });
+  imageSignatures.delete(signature);
+  imageSignatures.add(newSignature);
+  if (selectedSignatures.delete(signature)) {
+    selectedSignatures.add(newSignature);
+  }
+
+  await rekeySlideRecords([record], newSignature === signature ? [] : [signature], updatedPlaylists);
+  return true;
+}
+
+function setTextEditing(signature) {
+  editingTextSignature = signature;
+  textCreateBtn.textContent = signature ? "Update slide" : "Create slides";
+  textCancelEditBtn.classList.toggle("hidden", !signature);
+}
+
+function editTextSlide(signature) {
+  const entry = imageEntries.find(item => item.signature === signature);
+  if (!entry || !entry.textSource) {
+    return;
+  }
+  applyTextStyle(entry.textSource, { persist: false });
+  textLinesInput.value = entry.textSource.text;
+  setTextEditing(signature);
+  textPanel.open = true;
+  textLinesInput.focus();
+}
+
+async function createTextSlides() {
+  if (isRunning) {
+    return;
+  }
+  const lines = textLinesInput.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (!lines.length) {
+    showStatus("Type at least one line of text.");
+    return;
+  }
+  const style = applyTextStyle(readTextStyle());
+  textCreateBtn.disabled = true;
+  let added = 0;
+  let duplicates = 0;
+  let updated = false;
+
+  try {
+    let remaining = lines;
+    if (editingTextSignature && imageSignatures.has(editingTextSignature)) {
+      updated = await replaceTextSlide(editingTextSignature, { text: lines[0], ...style });
+      if (!updated) {
+        duplicates += 1;
+      }
+      remaining = lines.slice(1);
+    }
+
+    for (const text of remaining) {
+      const source = { text, ...style };
+      const blob = await renderTextSlide(source);
+      const signature = await contentSignature(blob, textSlideFallbackSignature(source));
+      if (await registerEntry({ blob, label: textSlideLabel(text), signature, textSource: source })) {
+        added += 1;
+      } else {
+        duplicates += 1;
+      }
+    }
+  } catch (error) {
+    console.warn("Could not create text slides", error);
+  } finally {
+    textCreateBtn.disabled = false;
+  }
+
+  setTextEditing(null);
+  textLinesInput.value = "";
+  refreshGalleryState();
+
+  const parts = [];
+  if (updated) {
+    parts.push("Updated the text slide.");
+  }
+  if (added) {
+    parts.push(`Added ${added} text slide${added === 1 ? "" : "s"}.`);
+  }
+  if (duplicates) {
+    parts.push(`Skipped ${duplicates} duplicate${duplicates === 1 ? "" : "s"}.`);
+  }
+  showStatus(parts.length ? parts.join(" ") : "Could not create text slides.");
+}
+
+async function restyleSelectedTextSlides() {
+  if (isRunning) {
+    return;
+  }
+  const style = applyTextStyle(readTextStyle());
+  const targets = imageEntries
+    .filter(entry => selectedSignatures.has(entry.signature) && entry.textSource)
+    .map(entry => ({ signature: entry.signature, text: entry.textSource.text }));
+  let restyled = 0;
+  for (const { signature, text } of targets) {
+    try {
+      if (await replaceTextSlide(signature, { text, ...style })) {
+        restyled += 1;
+      }
+    } catch (error) {
+      console.warn("Could not restyle text slide", error);
+    }
+  }
+  refreshGalleryState();
+  showStatus(`Restyled ${restyled} text slide${restyled === 1 ? "" : "s"}.`);
+}
+
+// ZIP and CBZ archives are unpacked in a worker. Images and PDFs inside are
+// added in natural path order and labelled "archive.zip/inner/path.jpg"; other
+// members (ComicInfo.xml, thumbnails) are left out.
+const ARCHIVE_EXTENSIONS = ["zip", "cbz"];
+const ARCHIVE_TYPES = ["application/zip", "application/x-zip-compressed", "application/vnd.comicbook+zip", "application/x-cbz"];
+const ARCHIVE_MEMBER_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  jfif: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  bmp: "image/bmp",
+  svg: "image/svg+xml",
+  pdf: "application/pdf"
+};
+
+function isArchiveFile(file) {
+  return ARCHIVE_TYPES.includes(file.type) || ARCHIVE_EXTENSIONS.includes(fileExtension(file.name));
+}
+
+// Resolves with { added, duplicates, supported, saved, failed, pdfPreset }.
+async function addArchiveFile(file, pdfPreset) {
+  const result = { added: 0, duplicates: 0, supported: 0, saved: 0, failed: 0, pdfPreset };
+  const { request, close } = createWorkerClient("archive-worker.js", "Archive import");
+  const archiveName = file.name || "Archive";
+
+  try {
+    const { entries } = await request({ type: "open", file });
+    const members = entries
+      .filter(entry => !entry.name.endsWith("/") && ARCHIVE_MEMBER_TYPES[fileExtension(entry.name)] && isImportPathIncluded(entry.name))
+      .sort((a, b) => compareNaturalPaths(a.name, b.name));
+
+    for (const [index, member] of members.entries()) {
+      if (isImportCancelled()) {
+        break;
+      }
+      narrowImportFileProgress(index / members.length, (index + 1) / members.length);
+      reportImportFileProgress(0);
+      result.supported += 1;
+      const mimeType = ARCHIVE_MEMBER_TYPES[fileExtension(member.name)];
+      const label = `${archiveName}/${member.name}`;
+      let inner;
+      try {
+        if (!member.supported) {
+          throw new Error("Encrypted or unsupported compression.");
+        }
+        const { blob } = await request({ type: "extract", index: member.index, mimeType });
+        inner = new File([blob], member.name.split("/").pop(), { type: mimeType, lastModified: file.lastModified });
+      } catch (error) {
+        console.warn(`Could not unpack ${label}`, error);
+        result.failed += 1;
+        continue;
+      }
+
+      if (mimeType === "application/pdf") {
+        if (!pdfSupported) {
+          result.failed += 1;
+          continue;
+        }
+        try {
+          const pdfResult = await addPdfFile(inner, result.pdfPreset, label);
+          result.added += pdfResult.added;
+          result.duplicates += pdfResult.duplicates;
+          if (pdfResult.options && pdfResult.options.applyToAll) {
+            result.pdfPreset = pdfResult.options;
+          }
+        } catch (error) {
+          console.warn(`Could not process ${label}`, error);
+          result.failed += 1;
+        }
+        continue;
+      }
+
+      try {
+        const imageResult = await registerImageFile(await prepareImageFile(inner, label));
+        result.added += imageResult.added;
+        result.duplicates += imageResult.duplicates;
+        result.saved += imageResult.saved;
+      } catch (error) {
+        console.warn(`Could not import ${label}`, error);
+        result.failed += 1;
+      }
+    }
+  } finally {
+    narrowImportFileProgress(0, 1);
+    close();
+  }
+  return result;
+}
+
+// Animated images and videos can be split into still frames on import, one
+// slide per frame. Images are decoded in frame-worker.js; videos are seeked
+// frame by frame in a muted <video> element and drawn onto a canvas.
+const SPLIT_ANIMATION_TYPES = ["image/gif", "image/png", "image/apng", "image/webp"];
+const MAX_SPLIT_FRAMES = 1000;
+const SCENE_SAMPLE_SIZE = 32;
+const supportsFrameWorker = typeof Worker === "function" && typeof OffscreenCanvas === "function";
+
+function isSplitCandidate(file) {
+  return importSettings.splitAnimations && supportsFrameWorker && SPLIT_ANIMATION_TYPES.includes(file.type);
+}
+
+function isVideoFile(file) {
+  return Boolean(file.type) && file.type.startsWith("video/");
+}
+
+// GIFs are always handed to the worker, which reports a single frame for still
+// ones. APNG and animated WebP announce themselves in their headers.
+async function isAnimatedImage(file) {
+  const bytes = new Uint8Array(await file.slice(0, 256 * 1024).arrayBuffer());
+  const text = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+  if (text(0, 3) === "GIF") {
+    return true;
+  }
+  if (text(0, 4) === "RIFF" && text(8, 4) === "WEBP") {
+    return text(12, 4) === "VP8X" && Boolean(bytes[20] & 0x02);
+  }
+  if (bytes[0] === 0x89 && text(1, 3) === "PNG") {
+    const view = new DataView(bytes.buffer);
+    for (let position = 8; position + 8 <= bytes.length;) {
+      const type = text(position + 4, 4);
+      if (type === "acTL") {
+        return true;
+      }
+      if (type === "IDAT") {
+        return false;
+      }
+      position += 12 + view.getUint32(position);
+    }
+  }
+  return false;
+}
+
+// Frames follow the import options when optimizing; otherwise animation frames
+// stay lossless and video frames are stored as JPEG.
+function getFrameEncoding(fallbackFormat) {
+  if (!importSettings.optimize) {
+    return { maxEdge: 0, format: fallbackFormat, quality: importSettings.quality };
+  }
+  return {
+    maxEdge: importSettings.maxEdge,
+    format: importSettings.format === "original" ? fallbackFormat : importSettings.format,
+    quality: importSettings.quality
+  };
+}
+
+async function registerFrame(file, name, frameNumber, blob) {
+  return registerEntry({
+    blob,
+    label: `${name} - frame ${frameNumber}`,
+    signature: await contentSignature(blob, `${fileSignature(file)}::frame${frameNumber}`)
+  });
+}
+
+// Resolves with { added, duplicates, failed }, or null when the image has a
+// single frame and should be imported as it is. A frame that fails before any
+// was stored rejects, so the caller can import the image whole instead; after
+// that the frames already stored are kept and the rest count as failed.
+async function addAnimatedImageFile(file) {
+  if (!await isAnimatedImage(file)) {
+    return null;
+  }
+  const { request, close } = createWorkerClient("frame-worker.js", "Frame import");
+  const name = file.name || "Image";
+  const result = { added: 0, duplicates: 0, failed: 0 };
+
+  try {
+    const { frameCount } = await request({ type: "open", blob: file, mimeType: file.type === "image/apng" ? "image/png" : file.type });
+    if (frameCount < 2) {
+      return null;
+    }
+    const total = Math.min(frameCount, MAX_SPLIT_FRAMES);
+    const encoding = getFrameEncoding("png");
+    for (let index = 0; index < total; index += 1) {
+      if (isImportCancelled()) {
+        break;
+      }
+      let blob;
+      try {
+        ({ blob } = await request({ type: "frame", index, ...encoding }));
+      } catch (error) {
+        if (!result.added && !result.duplicates) {
+          throw error;
+        }
+        console.warn(`Could not decode frame ${index + 1} of ${name}`, error);
+        result.failed = total - index;
+        break;
+      }
+      if (await registerFrame(file, name, index + 1, blob)) {
+        result.added += 1;
+      } else {
+        result.duplicates += 1;
+      }
+      reportImportFileProgress((index + 1) / total);
+    }
+  } finally {
+    close();
+  }
+  return result;
+}
+
+function waitForMediaEvent(media, type) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      media.removeEventListener(type, handleEvent);
+      media.removeEventListener("error", handleError);
+    };
+    const handleEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const handleError = () => {
+      cleanup();
+      reject(new Error("Could not decode the video."));
+    };
+    media.addEventListener(type, handleEvent);
+    media.addEventListener("error", handleError);
+  });
+}
+
+// Returns a check that compares a frame with the last frame it accepted, on a
+// small grayscale copy, and accepts it when the average difference reaches
+// `threshold` percent.
+function createSceneDetector(threshold) {
+  const canvas = document.createElement("canvas");
+  canvas.width = SCENE_SAMPLE_SIZE;
+  canvas.height = SCENE_SAMPLE_SIZE;
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  let previous = null;
+
+  return source => {
+    context.drawImage(source, 0, 0, SCENE_SAMPLE_SIZE, SCENE_SAMPLE_SIZE);
+    const { data } = context.getImageData(0, 0, SCENE_SAMPLE_SIZE, SCENE_SAMPLE_SIZE);
+    const luma = new Float32Array(SCENE_SAMPLE_SIZE * SCENE_SAMPLE_SIZE);
+    let difference = 0;
+    for (let i = 0; i < luma.length; i += 1) {
+      luma[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+      if (previous) {
+        difference += Math.abs(luma[i] - previous[i]);
+      }
+    }
+    const changed = !previous || (difference / luma.length / 255) * 100 >= threshold;
+    if (changed) {
+      previous = luma;
+    }
+    return changed;
+  };
+}
+
+// Takes a frame every `frameInterval` ms, or checks one that often and keeps
+// it only at a scene change. Resolves with { added, duplicates }.
+async function addVideoFile(file) {
+  const name = file.name || "Video";
+  const url = URL.createObjectURL(file);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  const result = { added: 0, duplicates: 0 };
+
+  try {
+    const loaded = waitForMediaEvent(video, "loadeddata");
+    video.src = url;
+    await loaded;
+    const { duration, videoWidth, videoHeight } = video;
+    if (!Number.isFinite(duration) || !videoWidth || !videoHeight) {
+      throw new Error("The video has no readable frames.");
+    }
+
+    const { maxEdge, format, quality } = getFrameEncoding("jpeg");
+    const scale = maxEdge > 0 ? Math.min(1, maxEdge / Math.max(videoWidth, videoHeight)) : 1;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(videoWidth * scale));
+    canvas.height = Math.max(1, Math.round(videoHeight * scale));
+    const context = canvas.getContext("2d");
+    const isNewScene = importSettings.videoFrames === "scene" ? createSceneDetector(importSettings.sceneChange) : null;
+    const step = importSettings.frameInterval / 1000;
+    let frameNumber = 0;
+
+    for (let time = 0; time < duration && frameNumber < MAX_SPLIT_FRAMES; time += step) {
+      if (isImportCancelled()) {
+        break;
+      }
+      const seeked = waitForMediaEvent(video, "seeked");
+      video.currentTime = time;
+      await seeked;
+      reportImportFileProgress(time / duration);
+      if (isNewScene && !isNewScene(video)) {
+        continue;
+      }
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      frameNumber += 1;
+      const blob = await canvasToBlob(canvas, `image/${format}`, quality / 100);
+      if (await registerFrame(file, name, frameNumber, blob)) {
+        result.added += 1;
+      } else {
+        result.duplicates += 1;
+      }
+    }
+  } finally {
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+  return result;
+}
+
+// Storage: the loader shows how much of the browser's quota is in use and asks
+// for persistent storage on the first import. Writes that fail (usually because
+// the quota is used up) are collected so the user learns which slides will be
+// gone after a reload, with a way to export or clean up.
+const STORAGE_WARNING_RATIO = 0.85;
+const MAX_LISTED_UNSAVED = 8;
+const storageSupported = typeof navigator !== "undefined" && Boolean(navigator.storage && navigator.storage.estimate);
+const unsavedRecords = new Map();
+let storageEstimate = null;
+let storagePersisted = false;
+let storagePersistRequested = false;
+let storageWarningDismissed = false;
+let storageWarningReason = "";
+
+function isQuotaError(error) {
+  return Boolean(error) && (error.name === "QuotaExceededError" || error.code === 22);
+}
+
+// `save` writes the record again with the data and timestamps it was added with.
+function noteUnsavedRecord(signature, label, error, save) {
+  const quota = isQuotaError(error) || (unsavedRecords.get(signature) || {}).quota || false;
+  unsavedRecords.set(signature, { label: label || "Untitled", quota, save });
+  storageWarningDismissed = false;
+  renderStorageWarning();
+}
+
+// Records written later on, or removed from every playlist, no longer need saving.
+function forgetUnsavedRecords(signatures) {
+  if (signatures.filter(signature => unsavedRecords.delete(signature)).length) {
+    renderStorageWarning();
+  }
+}
+
+async function requestPersistentStorage() {
+  if (storagePersistRequested || !navigator.storage || typeof navigator.storage.persist !== "function") {
+    return;
+  }
+  storagePersistRequested = true;
+  try {
+    storagePersisted = await navigator.storage.persist();
+  } catch (error) {
+    console.warn("Could not request persistent storage", error);
+  }
+  renderStorageUsage();
+}
+
+async function refreshStorageEstimate() {
+  if (!storageSupported) {
+    return;
+  }
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    storageEstimate = { usage, quota };
+    if (typeof navigator.storage.persisted === "function") {
+      storagePersisted = await navigator.storage.persisted();
+    }
+  } catch (error) {
+    console.warn("Could not estimate storage", error);
+    storageEstimate = null;
+  }
+  renderStorageUsage();
+  renderStorageWarning();
+}
+
+function getFreeStorage() {
+  return storageEstimate && storageEstimate.quota ? Math.max(0, storageEstimate.quota - storageEstimate.usage) : Infinity;
+}
+
+function renderStorageUsage() {
+  if (!storageEstimate || !storageEstimate.quota) {
+    storageUsage.classList.add("hidden");
+    return;
+  }
+  const { usage, quota } = storageEstimate;
+  const percent = Math.min(100, Math.round((usage / quota) * 100));
+  storageUsage.textContent = `Storage: ${formatBytes(usage)} of ${formatBytes(quota)} used (${percent}%)`
+    + (storagePersisted ? " · persistent" : " · the browser may clear it when space runs low");
+  storageUsage.classList.remove("hidden");
+}
+
+// Called before an import starts, so a batch that will not fit is flagged
+// while there is still time to export or clean up.
+function checkStorageForImport(bytes) {
+  const free = getFreeStorage();
+  if (bytes > free) {
+    storageWarningReason = `This import (${formatBytes(bytes)}) is larger than the ${formatBytes(free)} of storage left; some slides may not be saved.`;
+    storageWarningDismissed = false;
+    renderStorageWarning();
+  }
+}
+
+function renderStorageWarning() {
+  const lines = [];
+  if (unsavedRecords.size) {
+    const items = [...unsavedRecords.values()];
+    const names = items.slice(0, MAX_LISTED_UNSAVED).map(item => item.label).join(", ");
+    const more = items.length > MAX_LISTED_UNSAVED ? ` and ${items.length - MAX_LISTED_UNSAVED} more` : "";
+    const count = `${items.length} item${items.length === 1 ? "" : "s"}`;
+    lines.push(items.some(item => item.quota)
+      ? `Storage is full: ${count} ${items.length === 1 ? "was" : "were"} not saved and will be gone after a reload: ${names}${more}.`
+      : `${count} could not be saved and will be gone after a reload: ${names}${more}.`);
+  } else if (storageWarningReason) {
+    lines.push(storageWarningReason);
+  } else if (storageEstimate && storageEstimate.quota && storageEstimate.usage / storageEstimate.quota >= STORAGE_WARNING_RATIO) {
+    lines.push(`Storage is ${Math.round((storageEstimate.usage / storageEstimate.quota) * 100)}% full. Export a package or free up space before adding more.`);
+  }
+  storageWarningText.textContent = lines.join(" ");
+  storageWarning.classList.toggle("hidden", !lines.length || storageWarningDismissed);
+}
+
+// Hides the banner but keeps the unsaved records, so "Free up space" can still
+// write them once the warning comes back.
+function dismissStorageWarning() {
+  storageWarningDismissed = true;
+  storageWarningReason = "";
+  renderStorageWarning();
+}
+
+// Every listed slide and track is written again once space has been freed;
+// writes that fail again put their record back on the list.
+async function retryUnsavedRecords() {
+  const pending = [...unsavedRecords.values()];
+  unsavedRecords.clear();
+  let saved = 0;
+  for (const item of pending) {
+    if (await item.save()) {
+      saved += 1;
+    }
+  }
+  return { saved, total: pending.length };
+}
+
+async function freeUpStorage() {
+  if (!window.confirm("Free up space? This removes original files kept next to optimized photos, and slides and audio that no playlist uses.")) {
+    return;
+  }
+  const before = storageEstimate ? storageEstimate.usage : 0;
+  storageCleanupBtn.disabled = true;
+  try {
+    const originals = await dropSlideOriginals();
+    if (playlists.length) {
+      await pruneUnreferencedSlides(await getSlideKeys());
+      await pruneUnreferencedAudio(await getAudioKeys());
+    }
+    const retried = await retryUnsavedRecords();
+    storageWarningReason = "";
+    await refreshStorageEstimate();
+    const freed = storageEstimate ? Math.max(0, before - storageEstimate.usage) : 0;
+    const parts = [`Freed ${formatBytes(freed)}.`];
+    if (originals) {
+      parts.push(`Removed ${originals} kept original${originals === 1 ? "" : "s"}.`);
+    }
+    if (retried.total) {
+      parts.push(`Saved ${retried.saved} of ${retried.total} unsaved item${retried.total === 1 ? "" : "s"}.`);
+    }
+    showStatus(parts.join(" "), true, 5000);
+  } finally {
+    storageCleanupBtn.disabled = false;
+  }
+}
+
+// Imports run one batch at a time. Batches dropped while one is running join the
+// same progress bar and wait their turn; Cancel stops after the current file and
+// keeps every slide that was already stored.
+const IMPORT_CONCURRENCY = Math.max(2, Math.min(4, (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2));
+const IMPORT_ETA_DELAY = 1500;
+let importJob = null;
+let importQueue = Promise.resolve();
+
+function isImportCancelled() {
+  return Boolean(importJob && importJob.cancelled);
+}
+
+function queueImportFiles(files) {
+  if (!importJob) {
+    importJob = {
+      cancelled: false,
+      batches: 0,
+      files: 0,
+      filesDone: 0,
+      bytes: 0,
+      bytesDone: 0,
+      currentBytes: 0,
+      currentDone: 0,
+      currentRange: [0, 1],
+      pages: 0,
+      startedAt: performance.now()
+    };
+    importCancelBtn.disabled = false;
+    importProgress.classList.remove("hidden");
+  }
+  const bytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+  importJob.batches += 1;
+  importJob.files += files.length;
+  importJob.bytes += bytes;
+  renderImportProgress();
+  checkStorageForImport(bytes);
+  void requestPersistentStorage();
+}
+
+function finishImportBatch() {
+  if (!importJob) {
+    return;
+  }
+  importJob.batches -= 1;
+  if (importJob.batches <= 0) {
+    importJob = null;
+    importProgress.classList.add("hidden");
+    void refreshStorageEstimate();
+  }
+}
+
+function beginImportFile(file) {
+  importJob.currentBytes = file.size || 0;
+  importJob.currentDone = 0;
+  importJob.currentRange = [0, 1];
+}
+
+// Long-running files (PDFs, packages, archives) report how far along they are.
+// An archive narrows the range to one member while a PDF inside it reports.
+function reportImportFileProgress(fraction) {
+  if (!importJob) {
+    return;
+  }
+  const [start, end] = importJob.currentRange;
+  importJob.currentDone = importJob.currentBytes * (start + (end - start) * Math.min(1, Math.max(0, fraction)));
+  renderImportProgress();
+}
+
+function narrowImportFileProgress(start, end) {
+  if (importJob) {
+    importJob.currentRange = [start, end];
+  }
+}
+
+function noteImportPages(count) {
+  if (importJob) {
+    importJob.pages += count;
+  }
+}
+
+function completeImportFile(file) {
+  importJob.filesDone += 1;
+  importJob.bytesDone += file.size || 0;
+  importJob.currentBytes = 0;
+  importJob.currentDone = 0;
+  renderImportProgress();
+}
+
+function renderImportProgress() {
+  if (!importJob || importJob.cancelled) {
+    return;
+  }
+  const { files, filesDone, bytes, pages, startedAt } = importJob;
+  const done = importJob.bytesDone + importJob.currentDone;
+  importProgressBar.max = bytes || files;
+  importProgressBar.value = bytes ? done : filesDone;
+
+  const parts = [`${filesDone} of ${files} file${files === 1 ? "" : "s"}`];
+  if (pages) {
+    parts.push(`${pages} PDF page${pages === 1 ? "" : "s"}`);
+  }
+  if (bytes) {
+    parts.push(`${formatBytes(done)} of ${formatBytes(bytes)}`);
+  }
+  const elapsed = performance.now() - startedAt;
+  if (elapsed > IMPORT_ETA_DELAY && done > 0 && done < bytes) {
+    parts.push(`about ${formatClock(elapsed * (bytes - done) / done)} left`);
+  }
+  importProgressText.textContent = parts.join(" · ");
+}
+
+function cancelImport() {
+  if (!importJob || importJob.cancelled) {
+    return;
+  }
+  importJob.cancelled = true;
+  importCancelBtn.disabled = true;
+  importProgressText.textContent = "Cancelling ...";
+  if (pdfDialogRequest || pdfRendering) {
+    cancelPdfDialog();
+  }
+}
+
+async function addFiles(files) {
+  if (!files || !files.length) {
+    return { added: 0, supported: 0, unsupported: 0, duplicates: 0, pdfUnsupported: 0, packageSlidesAdded: 0, packagesProcessed: 0, packageErrors: 0, packageSlidesTotal: 0, audioAdded: 0, bytesSaved: 0, archiveErrors: 0, archiveFailures: 0, frameFailures: 0, cancelled: false };
+  }
+
+  const incoming = Array.from(files);
+  queueImportFiles(incoming);
+  const run = importQueue.then(async () => {
+    // Slides dropped during startup wait for the stored playlist to load, so
+    // they join it and duplicates are recognised.
+    await slidesRestored;
+    playlistWritesDeferred = true;
+    try {
+      return await importFileBatch(incoming);
+    } finally {
+      playlistWritesDeferred = false;
+      await persistActivePlaylist();
+    }
+  });
+  importQueue = run.catch(() => {});
+  try {
+    return await run;
+  } finally {
+    finishImportBatch();
+  }
+}
+
+async function importFileBatch(incoming) {
+  let added = 0;
+  let supported = 0;
+  let unsupported = 0;
+  let duplicates = 0;
+  let pdfUnsupported = 0;
+  let packageSlidesAdded = 0;
+  let packagesProcessed = 0;
+  let packageErrors = 0;
+  let packageSlidesTotal = 0;
+  let audioAdded = 0;
+  let bytesSaved = 0;
+  let archiveErrors = 0;
+  let archiveFailures = 0;
+  let frameFailures = 0;
+  let cancelled = false;
+  let pdfPreset = null;
+
+  const preparedImages = new Map();
+  const prepareImagesFrom = start => {
+    for (let index = start; index < Math.min(incoming.length, start + IMPORT_CONCURRENCY); index += 1) {
+      const file = incoming[index];
+      if (!preparedImages.has(index) && file.type.startsWith("image/") && !isSplitCandidate(file)) {
+        preparedImages.set(index, prepareImageFile(file).catch(error => ({ file, error })));
+      }
+    }
+  };
+
+  for (const [index, file] of incoming.entries()) {
+    if (isImportCancelled()) {
+      cancelled = true;
+      break;
+    }
+    beginImportFile(file);
+    try {
+      const name = (file.name || "").toLowerCase();
+      const isPackageCandidate = file.type === "application/json" || name.endsWith(".json") || name.endsWith(".lss") || name.endsWith(".slideshow");
+
+      if (isPackageCandidate) {
+        const packageResult = await importSavedPackage(file);
+        if (packageResult.error) {
+          unsupported += 1;
+          packageErrors += 1;
+        } else {
+          packagesProcessed += 1;
+          const totalSlides = Number(packageResult.total) || 0;
+          const addedSlides = Number(packageResult.added) || 0;
+          supported += totalSlides;
+          packageSlidesTotal += totalSlides;
+          added += addedSlides;
+          packageSlidesAdded += addedSlides;
+        }
+        continue;
+      }
+
+      if (isAudioFile(file)) {
+        audioAdded += await addAudioFile(file);
+        continue;
+      }
+
+      if (isArchiveFile(file)) {
+        try {
+          const archiveResult = await addArchiveFile(file, pdfPreset);
+          supported += archiveResult.supported;
+          added += archiveResult.added;
+          duplicates += archiveResult.duplicates;
+          bytesSaved += archiveResult.saved;
+          archiveFailures += archiveResult.failed;
+          pdfPreset = archiveResult.pdfPreset;
+        } catch (error) {
+          console.warn("Could not read archive", error);
+          archiveErrors += 1;
+        }
+        continue;
+      }
+
+      if (isVideoFile(file)) {
+        if (importSettings.videoFrames === "off") {
+          unsupported += 1;
+          continue;
+        }
+        supported += 1;
+        try {
+          const videoResult = await addVideoFile(file);
+          added += videoResult.added;
+          duplicates += videoResult.duplicates;
+        } catch (error) {
+          console.warn(`Could not take frames from ${file.name || "video"}`, error);
+          unsupported += 1;
+        }
+        continue;
+      }
+
+      if (file.type.startsWith("image/")) {
+        supported += 1;
+        if (isSplitCandidate(file)) {
+          try {
+            const frameResult = await addAnimatedImageFile(file);
+            if (frameResult) {
+              added += frameResult.added;
+              duplicates += frameResult.duplicates;
+              frameFailures += frameResult.failed;
+              continue;
+            }
+          } catch (error) {
+            console.warn(`Could not split ${file.name || "image"} into frames, importing it whole`, error);
+          }
+        }
+        prepareImagesFrom(index);
+        const prepared = await (preparedImages.get(index) || prepareImageFile(file).catch(error => ({ file, error })));
+        preparedImages.delete(index);
+        if (prepared.error) {
+          console.warn(`Could not import ${file.name || "image"}`, prepared.error);
+          unsupported += 1;
+          continue;
+        }
+        const imageResult = await registerImageFile(prepared);
+        added += imageResult.added;
+        duplicates += imageResult.duplicates;
+        bytesSaved += imageResult.saved;
+        continue;
+      }
+
+      if (file.type === "application/pdf") {
+        supported += 1;
+        if (!pdfSupported) {
+          pdfUnsupported += 1;
+          continue;
+        }
+
+        showStatus(`Processing ${file.name || "PDF"} ...`, false, 6000);
+        try {
+          const { added: pagesAdded, duplicates: pageDuplicates, options } = await addPdfFile(file, pdfPreset);
+          added += pagesAdded;
+          duplicates += pageDuplicates;
+          if (options && options.applyToAll) {
+            pdfPreset = options;
+          }
+        } catch (error) {
+          console.warn("Could not process PDF", error);
+          showStatus(`Unable to read ${file.name || "PDF"}.`);
+        }
+        continue;
+      }
+
+      unsupported += 1;
+    } finally {
+      completeImportFile(file);
+    }
+  }
+  cancelled = cancelled || isImportCancelled();
+
+  if (added) {
+    updateDropZoneMessage();
+    renderGallery();
+    if (!isRunning) {
+      startBtn.disabled = imageEntries.length === 0;
+    }
+  } else if (!imageEntries.length) {
     updateDropZoneMessage();
     startBtn.disabled = true;
   }
 
-  return { added, supported, unsupported, pdfUnsupported, packageSlidesAdded, packagesProcessed, packageErrors, packageSlidesTotal };
+  return { added, supported, unsupported, duplicates, pdfUnsupported, packageSlidesAdded, packagesProcessed, packageErrors, packageSlidesTotal, audioAdded, bytesSaved, archiveErrors, archiveFailures, frameFailures, cancelled };
+}
+
+function slideRecordToBlob(slide) {
+  if (slide.blob instanceof Blob) {
+    return slide.blob;
+  }
+  if (!slide.bytes) {
+    return null;
+  }
+  try {
+    return new Blob([slide.bytes], { type: slide.type || "application/octet-stream" });
+  } catch (error) {
+    console.warn("Could not reconstruct slide", error);
+    return null;
+  }
+}
+
+async function loadPlaylistEntries(playlist) {
+  await loadPlaylistAudio(playlist);
+  revokeAll();
+  imageEntries = [];
+  imageSignatures.clear();
+  selectedSignatures.clear();
+  currentIndex = 0;
+
+  if (!playlist) {
+    return;
+  }
+
+  const records = await getSlideRecords(playlist.signatures);
+  for (const signature of playlist.signatures) {
+    const slide = records.get(signature);
+    if (!slide) {
+      continue;
+    }
+
+    const blob = slideRecordToBlob(slide);
+    if (!blob) {
+      continue;
+    }
+
+    await registerEntry({
+      blob,
+      label: slide.label || "Image",
+      signature,
+      persist: false,
+      addedAt: slide.addedAt || Date.now(),
+      weight: slide.weight,
+      duration: slide.duration,
+      textSource: slide.textSource
+    });
+  }
+}
+
+function refreshGalleryState() {
+  updateDropZoneMessage();
+  renderGallery();
+  startBtn.disabled = isRunning || imageEntries.length === 0;
+}
+
+// Slides saved before content hashing were keyed by file name, size and date.
+// Rekey them by SHA-256 in small batches and point every playlist at the new keys.
+// Resolves with the number of slides that turned out to be duplicates.
+async function migrateSlideSignatures() {
+  if (!supportsContentHash) {
+    return 0;
+  }
+  const keys = await getSlideKeys();
+  const legacy = keys.filter(key => !String(key).startsWith(CONTENT_SIGNATURE_PREFIX));
+  if (!legacy.length) {
+    return 0;
+  }
+
+  const known = new Set(keys);
+  let merged = 0;
+  for (let start = 0; start < legacy.length; start += 20) {
+    const records = await getSlideRecords(legacy.slice(start, start + 20));
+    const renamed = new Map();
+    const rekeyed = [];
+    for (const [oldSignature, record] of records) {
+      const blob = slideRecordToBlob(record);
+      if (!blob) {
+        continue;
+      }
+      const signature = await contentSignature(blob, oldSignature);
+      if (!signature.startsWith(CONTENT_SIGNATURE_PREFIX)) {
+        continue;
+      }
+      renamed.set(oldSignature, signature);
+      if (known.has(signature)) {
+        merged += 1;
+      } else {
+        known.add(signature);
+        rekeyed.push({ ...record, signature });
+      }
+    }
+    if (!renamed.size) {
+      continue;
+    }
+
+    const updatedPlaylists = playlists.map(playlist => ({
+      ...playlist,
+      signatures: Array.from(new Set(playlist.signatures.map(signature => renamed.get(signature) || signature))),
+      overrides: renameSlideOverrides(playlist, renamed)
+    }));
+    if (await rekeySlideRecords(rekeyed, Array.from(renamed.keys()), updatedPlaylists)) {
+      playlists = updatedPlaylists;
+    }
+  }
+
+  return merged;
+}
+
+async function restorePersistedSlides() {
+  const db = await openDatabase();
+  playlists = await getPlaylistRecords();
+  if (db && !playlists.length) {
+    const playlist = createPlaylistRecord(DEFAULT_PLAYLIST_NAME);
+    playlists.push(playlist);
+    await putPlaylistRecords([playlist]);
+  }
+  const merged = await migrateSlideSignatures();
+
+  const storedId = getStoredActivePlaylistId();
+  const active = playlists.find(playlist => playlist.id === storedId) || playlists[0] || null;
+  activePlaylistId = active ? active.id : null;
+  renderPlaylistPicker();
+
+  await loadPlaylistEntries(active);
+  refreshGalleryState();
+  if (merged) {
+    showStatus(`Merged ${merged} duplicate slide${merged === 1 ? "" : "s"} found while updating saved slides.`, true, 6000);
+  }
+}
+
+function renderPlaylistPicker() {
+  playlistGroup.classList.toggle("hidden", playlists.length === 0);
+  const fragment = document.createDocumentFragment();
+  playlists.forEach(playlist => {
+    const option = document.createElement("option");
+    option.value = playlist.id;
+    option.textContent = playlist.name;
+    option.selected = playlist.id === activePlaylistId;
+    fragment.appendChild(option);
+  });
+  playlistSelect.replaceChildren(fragment);
+  playlistDeleteBtn.disabled = playlists.length < 2;
+}
+
+async function switchPlaylist(id) {
+  if (isRunning || id === activePlaylistId) {
+    return;
+  }
+  const playlist = playlists.find(item => item.id === id);
+  if (!playlist) {
+    return;
+  }
+
+  if (playlistWritesDeferred) {
+    // An import is still adding to the playlist being left.
+    await persistActivePlaylist();
+  }
+  activePlaylistId = playlist.id;
+  storeActivePlaylistId(playlist.id);
+  renderPlaylistPicker();
+  await loadPlaylistEntries(playlist);
+  refreshGalleryState();
+}
+
+function promptPlaylistName(message, fallback) {
+  const input = window.prompt(message, fallback);
+  if (input === null) {
+    return null;
+  }
+  const name = input.trim();
+  if (!name) {
+    return null;
+  }
+  if (playlists.some(playlist => playlist.name === name)) {
+    showStatus(`A playlist named "${name}" already exists.`);
+    return null;
+  }
+  return name;
+}
+
+async function createPlaylist() {
+  if (isRunning) {
+    return;
+  }
+  const name = promptPlaylistName("Name for the new playlist", `Playlist ${playlists.length + 1}`);
+  if (!name) {
+    return;
+  }
+  const playlist = createPlaylistRecord(name);
+  playlists.push(playlist);
+  await putPlaylistRecords([playlist]);
+  await switchPlaylist(playlist.id);
+  showStatus(`Created playlist "${name}".`);
+}
+
+async function renameActivePlaylist() {
+  const playlist = getActivePlaylist();
+  if (!playlist) {
+    return;
+  }
+  const name = promptPlaylistName("Rename playlist", playlist.name);
+  if (!name) {
+    return;
+  }
+  playlist.name = name;
+  await putPlaylistRecords([playlist]);
+  renderPlaylistPicker();
+}
+
+async function deleteActivePlaylist() {
+  const playlist = getActivePlaylist();
+  if (isRunning || !playlist || playlists.length < 2) {
+    return;
+  }
+  if (!window.confirm(`Delete playlist "${playlist.name}"? Slides used by other playlists are kept.`)) {
+    return;
+  }
+
+  playlists = playlists.filter(item => item !== playlist);
+  await deletePlaylistRecord(playlist.id);
+  await pruneUnreferencedSlides(playlist.signatures);
+  await pruneUnreferencedAudio(playlist.audio || []);
+  activePlaylistId = null;
+  await switchPlaylist(playlists[0].id);
+  showStatus(`Deleted playlist "${playlist.name}".`);
+  void refreshStorageEstimate();
+}
+
+function updateGalleryControls() {
+  const total = imageEntries.length;
+  const loopLength = imageEntries.reduce((sum, entry) => sum + getEntryDuration(entry), 0);
+  galleryCount.textContent = total ? `(${total} · ${formatDuration(loopLength)} per loop)` : "";
+  galleryApplyDurationBtn.disabled = selectedSignatures.size === 0;
+  galleryClearDurationBtn.disabled = selectedSignatures.size === 0;
+  galleryDeleteBtn.disabled = selectedSignatures.size === 0;
+  textRestyleBtn.disabled = !imageEntries.some(entry => entry.textSource && selectedSignatures.has(entry.signature));
+  galleryDeleteBtn.textContent = selectedSignatures.size
+    ? `Delete selected (${selectedSignatures.size})`
+    : "Delete selected";
+  gallerySelectAllBtn.disabled = total === 0;
+  gallerySelectAllBtn.textContent = total > 0 && selectedSignatures.size === total ? "Select none" : "Select all";
+}
+
+function createGalleryItem(entry, index) {
+  const item = document.createElement("li");
+  item.className = "gallery-item";
+  item.draggable = true;
+  item.dataset.signature = entry.signature;
+  item.classList.toggle("selected", selectedSignatures.has(entry.signature));
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.className = "gallery-select";
+  checkbox.checked = selectedSignatures.has(entry.signature);
+  checkbox.setAttribute("aria-label", `Select slide ${index + 1}`);
+
+  const thumb = document.createElement("img");
+  thumb.className = "gallery-thumb";
+  thumb.src = entry.url;
+  thumb.alt = "";
+  thumb.loading = "lazy";
+  thumb.decoding = "async";
+  thumb.draggable = false;
+
+  const labelInput = document.createElement("input");
+  labelInput.type = "text";
+  labelInput.className = "gallery-label";
+  labelInput.value = entry.label || "";
+  labelInput.setAttribute("aria-label", `Name of slide ${index + 1}`);
+
+  const weightInput = document.createElement("input");
+  weightInput.type = "number";
+  weightInput.className = "gallery-weight";
+  weightInput.min = "0";
+  weightInput.max = "100";
+  weightInput.step = "1";
+  weightInput.value = String(normalizeWeight(entry.weight));
+  weightInput.title = "How often this slide comes up in weighted random order";
+  weightInput.setAttribute("aria-label", `Weight of slide ${index + 1}`);
+
+  const durationInput = document.createElement("input");
+  durationInput.type = "number";
+  durationInput.className = "gallery-duration";
+  durationInput.min = "0";
+  durationInput.max = String(MAX_SLIDE_DURATION);
+  durationInput.step = "10";
+  durationInput.placeholder = "Global";
+  durationInput.value = entry.duration === null || entry.duration === undefined ? "" : String(entry.duration);
+  durationInput.title = "Duration in ms for this slide. Leave empty to use the global delay.";
+  durationInput.setAttribute("aria-label", `Duration of slide ${index + 1} in milliseconds`);
+
+  item.append(checkbox, thumb, labelInput, durationInput, weightInput);
+  if (entry.textSource) {
+    const editButton = document.createElement("button");
+    editButton.type = "button";
+    editButton.className = "secondary gallery-edit";
+    editButton.textContent = "Edit";
+    editButton.setAttribute("aria-label", `Edit the text of slide ${index + 1}`);
+    item.append(editButton);
+  }
+  return item;
+}
+
+function renderGallery() {
+  for (const signature of Array.from(selectedSignatures)) {
+    if (!imageSignatures.has(signature)) {
+      selectedSignatures.delete(signature);
+    }
+  }
+
+  const fragment = document.createDocumentFragment();
+  imageEntries.forEach((entry, index) => {
+    fragment.appendChild(createGalleryItem(entry, index));
+  });
+  galleryList.replaceChildren(fragment);
+  gallery.classList.toggle("hidden", imageEntries.length === 0);
+  updateGalleryControls();
+}
+
+function moveEntry(signature, targetIndex) {
+  const fromIndex = imageEntries.findIndex(entry => entry.signature === signature);
+  if (fromIndex === -1) {
+    return false;
+  }
+  const clampedTarget = Math.min(imageEntries.length - 1, Math.max(0, targetIndex));
+  if (clampedTarget === fromIndex) {
+    return false;
+  }
+  const [entry] = imageEntries.splice(fromIndex, 1);
+  imageEntries.splice(clampedTarget, 0, entry);
+  return true;
+}
+
+async function renameEntry(signature, label) {
+  const entry = imageEntries.find(item => item.signature === signature);
+  const trimmed = label.trim();
+  if (!entry || !trimmed || trimmed === entry.label) {
+    return;
+  }
+  entry.label = trimmed;
+  await updateSlideOverrides([{ signature, changes: { label: trimmed } }]);
+}
+
+async function setEntryWeight(signature, weight) {
+  const entry = imageEntries.find(item => item.signature === signature);
+  if (!entry || entry.weight === weight) {
+    return;
+  }
+  entry.weight = weight;
+  await updateSlideOverrides([{ signature, changes: { weight } }]);
+}
+
+async function setEntryDurations(signatures, duration) {
+  const updates = [];
+  for (const signature of signatures) {
+    const entry = imageEntries.find(item => item.signature === signature);
+    if (!entry || entry.duration === duration) {
+      continue;
+    }
+    entry.duration = duration;
+    updates.push({ signature, changes: { duration } });
+  }
+  updateGalleryControls();
+  await updateSlideOverrides(updates);
+}
+
+async function applyDurationToSelection(duration) {
+  if (!selectedSignatures.size) {
+    return;
+  }
+  const count = selectedSignatures.size;
+  await setEntryDurations(Array.from(selectedSignatures), duration);
+  renderGallery();
+  showStatus(duration === null
+    ? `${count} slide${count === 1 ? "" : "s"} now use the global delay.`
+    : `Set ${count} slide${count === 1 ? "" : "s"} to ${formatDuration(duration)}.`);
+}
+
+async function deleteSelectedEntries() {
+  if (isRunning || !selectedSignatures.size) {
+    return;
+  }
+
+  const removed = [];
+  imageEntries = imageEntries.filter(entry => {
+    if (!selectedSignatures.has(entry.signature)) {
+      return true;
+    }
+    URL.revokeObjectURL(entry.url);
+    imageSignatures.delete(entry.signature);
+    removed.push(entry.signature);
+    return false;
+  });
+  selectedSignatures.clear();
+  currentIndex = 0;
+
+  renderGallery();
+  startBtn.disabled = imageEntries.length === 0;
+  await persistActivePlaylist();
+  await pruneUnreferencedSlides(removed);
+  showStatus(`Deleted ${removed.length} slide${removed.length === 1 ? "" : "s"}.`);
+  void refreshStorageEstimate();
+}
+
+function toggleSelectAll() {
+  if (selectedSignatures.size === imageEntries.length) {
+    selectedSignatures.clear();
+  } else {
+    imageEntries.forEach(entry => selectedSignatures.add(entry.signature));
+  }
+  renderGallery();
+}
+
+function syncDelayFromRange() {
+  applyDelay(Number(delayRange.value));
+}
+
+function syncDelayFromInput() {
+  const value = Number(delayInput.value);
+  if (Number.isNaN(value)) {
+    applyDelay(Number(delayRange.value), { persist: false });
+    return;
+  }
+  const clamped = Math.min(2000, Math.max(0, value));
+  applyDelay(clamped);
+}
+
+// Playback runs on a single requestAnimationFrame loop. Each slide's deadline is
+// measured from where the previous slide *should* have ended, not from when it
+// was actually shown, so rounding to display frames never accumulates into drift.
+const MAX_TIMING_LOG = 20000;
+let frameInterval = 1000 / 60;
+let frameDeltas = [];
+let lastFrameTime = null;
+let slideTiming = null;
+let runStartedAt = 0;
+let timingLog = [];
+
+function resetTimingState() {
+  frameDeltas = [];
+  lastFrameTime = null;
+  slideTiming = null;
+  runStartedAt = 0;
+  timingLog = [];
+}
+
+function recordFrame(timestamp) {
+  if (lastFrameTime !== null) {
+    const delta = timestamp - lastFrameTime;
+    if (delta > 1.5 * frameInterval && slideTiming) {
+      slideTiming.dropped += Math.round(delta / frameInterval) - 1;
+    }
+    // Ignore stalls (tab switches, debugger pauses) when estimating the refresh rate.
+    if (delta > 4 && delta < 100) {
+      frameDeltas.push(delta);
+      if (frameDeltas.length > 60) {
+        frameDeltas.shift();
+      }
+      const sorted = frameDeltas.slice().sort((a, b) => a - b);
+      frameInterval = sorted[Math.floor(sorted.length / 2)];
+    }
+  }
+  lastFrameTime = timestamp;
+}
+
+function finishSlideTiming(timestamp) {
+  if (!slideTiming) {
+    return;
+  }
+  const entry = imageEntries[slideTiming.index];
+  const actual = timestamp - slideTiming.shownAt - slideTiming.pausedFor;
+  timingLog.push({
+    index: slideTiming.index,
+    label: entry ? entry.label || "Image" : "",
+    shownAt: slideTiming.shownAt - runStartedAt,
+    expected: slideTiming.expected,
+    actual,
+    expectedFrames: Math.max(1, Math.round(slideTiming.expected / frameInterval)),
+    frames: Math.round(actual / frameInterval),
+    dropped: slideTiming.dropped,
+    waited: slideTiming.waited,
+    interrupted: slideTiming.interrupted
+  });
+  if (timingLog.length > MAX_TIMING_LOG) {
+    timingLog.splice(0, timingLog.length - MAX_TIMING_LOG);
+  }
+  slideTiming = null;
+}
+
+function scheduleNextFrame() {
+  if (!slideshowRaf) {
+    slideshowRaf = requestAnimationFrame(onAnimationFrame);
+  }
+}
+
+function onAnimationFrame(timestamp) {
+  slideshowRaf = null;
+  if (!isRunning || isPaused) {
+    return;
+  }
+
+  recordFrame(timestamp);
+  advanceOverlay(timestamp);
+  updateCountdown(timestamp);
+
+  if (!sessionEnd) {
+    const reason = sessionLimitReason(timestamp);
+    if (reason) {
+      beginSessionEnd(reason, timestamp);
+    }
+  }
+  if (sessionEnd) {
+    if (timestamp >= sessionEnd.at) {
+      stopSlideshow(sessionEnd.reason);
+      return;
+    }
+    // Hold the last slide while the stage fades out.
+    if (stageTransition) {
+      drawStageFrame(timestamp);
+    }
+    scheduleNextFrame();
+    return;
+  }
+
+  const nextReady = isEntryReady(imageEntries[peekPlayIndices(1)[0]]);
+  if (!slideTiming) {
+    if (nextReady) {
+      runStartedAt = timestamp;
+      showNextImage(timestamp, timestamp);
+    } else {
+      preloadUpcoming();
+    }
+  } else if (timestamp + frameInterval / 2 >= slideTiming.deadline && isLastLoopSlide()) {
+    beginSessionEnd("loops", timestamp);
+  } else if (timestamp + frameInterval / 2 >= slideTiming.deadline && !nextReady) {
+    // Hold the current slide rather than show one that is not decoded yet.
+    slideTiming.waited += 1;
+    preloadUpcoming();
+  } else if (timestamp + frameInterval / 2 >= slideTiming.deadline) {
+    // Catch up on small overruns by starting the next slide at its ideal time;
+    // after a long stall (hidden tab) restart the timeline from now instead.
+    const lag = timestamp - slideTiming.deadline;
+    const idealStart = lag > Math.max(100, frameInterval * 4) ? timestamp : slideTiming.deadline;
+    showNextImage(timestamp, idealStart);
+  }
+
+  if (stageTransition && (!slideTiming || slideTiming.shownAt !== timestamp)) {
+    drawStageFrame(timestamp);
+  }
+
+  if (isRunning && !isPaused) {
+    scheduleNextFrame();
+  }
+}
+
+function summarizeTiming(log) {
+  const measured = log.filter(item => !item.interrupted);
+  const errors = measured.map(item => item.actual - Math.max(item.expected, frameInterval));
+  const absErrors = errors.map(Math.abs);
+  return {
+    slides: log.length,
+    measured: measured.length,
+    meanError: absErrors.length ? absErrors.reduce((sum, value) => sum + value, 0) / absErrors.length : 0,
+    maxError: absErrors.reduce((max, value) => Math.max(max, value), 0),
+    drift: errors.reduce((sum, value) => sum + value, 0),
+    offByFrames: measured.filter(item => item.frames !== item.expectedFrames).length,
+    dropped: log.reduce((sum, item) => sum + item.dropped, 0),
+    waited: log.reduce((sum, item) => sum + item.waited, 0),
+    rate: 1000 / frameInterval
+  };
+}
+
+function renderTimingReport() {
+  if (!timingLog.length) {
+    timingReport.classList.add("hidden");
+    return;
+  }
+  const summary = summarizeTiming(timingLog);
+  timingSummary.textContent = [
+    `${summary.slides} slide${summary.slides === 1 ? "" : "s"} shown at ${Math.round(summary.rate)} Hz.`,
+    `Per-slide error averaged ${summary.meanError.toFixed(1)} ms (worst ${summary.maxError.toFixed(1)} ms);`,
+    `accumulated drift ${summary.drift.toFixed(1)} ms.`,
+    `${summary.offByFrames} of ${summary.measured} timed slide${summary.measured === 1 ? "" : "s"} ran a frame long or short;`,
+    `${summary.dropped} dropped frame${summary.dropped === 1 ? "" : "s"},`,
+    `${summary.waited} frame${summary.waited === 1 ? "" : "s"} held while waiting for a decode.`
+  ].join(" ");
+  timingReport.classList.remove("hidden");
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadTimingReport() {
+  if (!timingLog.length) {
+    return;
+  }
+  const header = ["order", "slide", "label", "shown_at_ms", "expected_ms", "actual_ms", "expected_frames", "actual_frames", "dropped_frames", "frames_waiting_for_decode", "interrupted"];
+  const rows = timingLog.map((item, order) => [
+    order + 1,
+    item.index + 1,
+    item.label,
+    item.shownAt.toFixed(2),
+    item.expected,
+    item.actual.toFixed(2),
+    item.expectedFrames,
+    item.frames,
+    item.dropped,
+    item.waited,
+    item.interrupted ? "yes" : "no"
+  ].map(csvField).join(","));
+  const timestamp = new Date().toISOString().replace(/[:]/g, "-");
+  downloadBlob(new Blob([[header.join(","), ...rows].join("\n")], { type: "text/csv" }), `lightning-slideshow-timing-${timestamp}.csv`);
+}
+
+// Session history: one record per run, summarised per day and per playlist.
+function historyDay(time) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Records come oldest first, so `label` ends up as the newest record's.
+function summarizeHistory(records, keyOf, labelOf = keyOf) {
+  const totals = new Map();
+  records.forEach(record => {
+    const key = keyOf(record);
+    const total = totals.get(key) || { key, sessions: 0, playedFor: 0, slidesShown: 0, loops: 0 };
+    total.label = labelOf(record);
+    total.sessions += 1;
+    total.playedFor += record.playedFor || 0;
+    total.slidesShown += record.slidesShown || 0;
+    total.loops += record.loops || 0;
+    totals.set(key, total);
+  });
+  return Array.from(totals.values());
+}
+
+function createHistoryRow(cells) {
+  const row = document.createElement("tr");
+  cells.forEach(value => {
+    const cell = document.createElement("td");
+    cell.textContent = String(value);
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+async function renderHistory() {
+  const records = await getHistoryRecords();
+  historyEmpty.classList.toggle("hidden", records.length > 0);
+  historyContent.classList.toggle("hidden", records.length === 0);
+  historyCsvBtn.disabled = records.length === 0;
+  historyJsonBtn.disabled = records.length === 0;
+  historyClearBtn.disabled = records.length === 0;
+  const playTime = ms => formatDuration(Math.round(ms / 1000) * 1000);
+
+  const days = summarizeHistory(records, record => historyDay(record.startedAt))
+    .sort((a, b) => b.key.localeCompare(a.key));
+  historyDays.replaceChildren(...days.map(total => createHistoryRow([
+    total.label,
+    total.sessions,
+    playTime(total.playedFor),
+    total.slidesShown
+  ])));
+
+  // Playlists are grouped by id so renamed ones keep one row under their current name.
+  const playlistNames = new Map(playlists.map(playlist => [playlist.id, playlist.name]));
+  const storedName = record => record.playlistName || DEFAULT_PLAYLIST_NAME;
+  const byPlaylist = summarizeHistory(
+    records,
+    record => record.playlistId || `name:${storedName(record)}`,
+    record => playlistNames.get(record.playlistId) || storedName(record)
+  ).sort((a, b) => b.playedFor - a.playedFor);
+  historyPlaylists.replaceChildren(...byPlaylist.map(total => createHistoryRow([
+    total.label,
+    total.sessions,
+    playTime(total.playedFor),
+    total.slidesShown,
+    total.loops
+  ])));
+}
+
+async function recordSessionHistory(summary) {
+  await addHistoryRecord(summary);
+  if (historyPanel.open) {
+    await renderHistory();
+  }
+}
+
+async function downloadHistory(format) {
+  const records = await getHistoryRecords();
+  if (!records.length) {
+    return;
+  }
+  const timestamp = new Date().toISOString().replace(/[:]/g, "-");
+  if (format === "json") {
+    const data = records.map(record => ({
+      ...record,
+      startedAt: new Date(record.startedAt).toISOString(),
+      endedAt: new Date(record.endedAt).toISOString()
+    }));
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), `lightning-slideshow-history-${timestamp}.json`);
+    return;
+  }
+  const header = ["started_at", "ended_at", "playlist", "delay_ms", "order", "played_ms", "paused_ms", "slides_shown", "loops_completed", "end_reason"];
+  const rows = records.map(record => [
+    new Date(record.startedAt).toISOString(),
+    new Date(record.endedAt).toISOString(),
+    record.playlistName || DEFAULT_PLAYLIST_NAME,
+    record.delay,
+    record.order || "",
+    Math.round(record.playedFor),
+    Math.round(record.pausedFor),
+    record.slidesShown,
+    record.loops,
+    record.reason
+  ].map(csvField).join(","));
+  downloadBlob(new Blob([[header.join(","), ...rows].join("\n")], { type: "text/csv" }), `lightning-slideshow-history-${timestamp}.csv`);
+}
+
+async function clearHistory() {
+  if (!window.confirm("Delete the whole session history?")) {
+    return;
+  }
+  await clearHistoryRecords();
+  await renderHistory();
+  showStatus("Session history cleared.");
+}
+
+function beginSlide(index, timestamp, idealStart) {
+  finishSlideTiming(timestamp);
+  displayEntry(index, timestamp);
+  if (session) {
+    session.slidesShown += 1;
+  }
+  const expected = getEntryDuration(imageEntries[index]);
+  slideTiming = {
+    index,
+    shownAt: timestamp,
+    idealStart,
+    deadline: idealStart + expected,
+    expected,
+    dropped: 0,
+    waited: 0,
+    pausedFor: 0,
+    interrupted: false
+  };
+}
+
+function shuffleIndices(indices) {
+  for (let i = indices.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices;
+}
+
+function pickWeightedIndices(count) {
+  const weights = imageEntries.map(entry => normalizeWeight(entry.weight));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) {
+    return shuffleIndices(imageEntries.map((_, index) => index));
+  }
+  const picks = [];
+  for (let i = 0; i < count; i += 1) {
+    let target = Math.random() * totalWeight;
+    let index = 0;
+    while (index < weights.length - 1 && target >= weights[index]) {
+      target -= weights[index];
+      index += 1;
+    }
+    picks.push(index);
+  }
+  return picks;
+}
+
+// Builds the indices for one full pass through imageEntries in the chosen order.
+// `previous` is the slide on screen, so a reshuffle never starts with a repeat.
+function buildPlayOrder(previous = -1) {
+  const total = imageEntries.length;
+  const indices = imageEntries.map((_, index) => index);
+  switch (orderSelect.value) {
+    case "reverse":
+      return indices.reverse();
+    case "pingpong":
+      return total > 2 ? indices.concat(indices.slice(1, -1).reverse()) : indices;
+    case "shuffle": {
+      const shuffled = shuffleIndices(indices);
+      if (total > 1 && shuffled[0] === previous) {
+        [shuffled[0], shuffled[total - 1]] = [shuffled[total - 1], shuffled[0]];
+      }
+      return shuffled;
+    }
+    case "weighted":
+      return pickWeightedIndices(total);
+    default:
+      return indices;
+  }
+}
+
+function resetPlayOrder() {
+  playOrder = [];
+  playPosition = -1;
+  upcomingOrder = null;
+}
+
+// Looks ahead without moving playback. The next loop's order is built early and
+// kept in `upcomingOrder` so what gets decoded ahead is what will actually play.
+function peekPlayIndices(count) {
+  const indices = [];
+  if (!imageEntries.length) {
+    return indices;
+  }
+  if (!playOrder.length) {
+    playOrder = buildPlayOrder(currentIndex);
+    playPosition = -1;
+  }
+  let order = playOrder;
+  let position = playPosition;
+  while (indices.length < count) {
+    position += 1;
+    if (position >= order.length) {
+      if (order !== playOrder) {
+        break;
+      }
+      if (!upcomingOrder) {
+        upcomingOrder = buildPlayOrder(playOrder[playOrder.length - 1]);
+      }
+      order = upcomingOrder;
+      position = 0;
+    }
+    if (order[position] < imageEntries.length) {
+      indices.push(order[position]);
+    }
+  }
+  return indices;
+}
+
+function nextPlayIndex(direction) {
+  if (!playOrder.length) {
+    playOrder = buildPlayOrder(currentIndex);
+    playPosition = direction > 0 ? -1 : playOrder.length;
+  }
+  playPosition += direction;
+  if (playPosition >= playOrder.length) {
+    playOrder = upcomingOrder || buildPlayOrder(currentIndex);
+    upcomingOrder = null;
+    playPosition = 0;
+    if (session) {
+      session.loops += 1;
+    }
+  } else if (playPosition < 0) {
+    playPosition = playOrder.length - 1;
+    // Stepping back across the wrap undoes the loop counted on the way forward.
+    if (session && session.loops > 0) {
+      session.loops -= 1;
+    }
+  }
+  const index = playOrder[playPosition];
+  return index < imageEntries.length ? index : 0;
+}
+
+// Slides are decoded ahead of time and drawn to the stage canvas only once they
+// are fully decoded, so short delays never show a blank or half-painted frame.
+const DECODE_AHEAD = 6;
+const DECODE_CACHE_LIMIT = 16;
+const decodeCache = new Map();
+let stageFrame = null;
+
+function resizeStageCanvas() {
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.round(stage.clientWidth * ratio));
+  const height = Math.max(1, Math.round(stage.clientHeight * ratio));
+  if (stageCanvas.width !== width || stageCanvas.height !== height) {
+    stageCanvas.width = width;
+    stageCanvas.height = height;
+  }
+}
+
+// Draws the current slide on black as one opaque layer, so transitions can fade
+// or move whole frames, letterbox included.
+function drawSlideLayer(alpha = 1) {
+  const { width, height } = stageCanvas;
+  stageContext.globalAlpha = alpha;
+  stageContext.fillStyle = "#000";
+  stageContext.fillRect(0, 0, width, height);
+  const imageWidth = stageFrame ? stageFrame.naturalWidth || stageFrame.width : 0;
+  const imageHeight = stageFrame ? stageFrame.naturalHeight || stageFrame.height : 0;
+  if (imageWidth && imageHeight) {
+    // Like the old object-fit: contain <img>, never enlarge past the image's own size.
+    const scale = Math.min(window.devicePixelRatio || 1, width / imageWidth, height / imageHeight);
+    const drawWidth = imageWidth * scale;
+    const drawHeight = imageHeight * scale;
+    stageContext.drawImage(stageFrame, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  }
+  stageContext.globalAlpha = 1;
+}
+
+// Transitions blend from a snapshot of what was on screen when the slide changed.
+// A slide that arrives mid-transition snapshots the half-blended frame, so
+// transitions longer than the slide delay chain smoothly instead of jumping.
+const transitionCanvas = document.createElement("canvas");
+const transitionContext = transitionCanvas.getContext("2d", { alpha: false });
+let stageTransition = null;
+
+function startTransition(entry, timestamp) {
+  const { mode, duration } = transitionSettings;
+  // Every-frame (0 ms) slides stay hard cuts; a paused step has no frames to animate.
+  if (mode === "cut" || duration <= 0 || isPaused || getEntryDuration(entry) <= 0) {
+    stageTransition = null;
+    return;
+  }
+  if (transitionCanvas.width !== stageCanvas.width || transitionCanvas.height !== stageCanvas.height) {
+    transitionCanvas.width = stageCanvas.width;
+    transitionCanvas.height = stageCanvas.height;
+  }
+  transitionContext.drawImage(stageCanvas, 0, 0);
+  stageTransition = { mode, duration, startedAt: timestamp };
+}
+
+function drawTransitionFrame(progress) {
+  const { width, height } = stageCanvas;
+  const { mode } = stageTransition;
+  if (mode === "crossfade") {
+    // The new slide goes down opaque and the snapshot fades out over it, so the
+    // two always add up to full brightness.
+    drawSlideLayer();
+    stageContext.globalAlpha = 1 - progress;
+    stageContext.drawImage(transitionCanvas, 0, 0);
+    stageContext.globalAlpha = 1;
+  } else if (mode === "additive") {
+    stageContext.fillStyle = "#000";
+    stageContext.fillRect(0, 0, width, height);
+    stageContext.globalAlpha = Math.min(1, 2 * (1 - progress));
+    stageContext.drawImage(transitionCanvas, 0, 0);
+    stageContext.globalCompositeOperation = "lighter";
+    drawSlideLayer(Math.min(1, 2 * progress));
+    stageContext.globalCompositeOperation = "source-over";
+  } else if (mode === "fade-black" || mode === "fade-white") {
+    if (progress < 0.5) {
+      stageContext.drawImage(transitionCanvas, 0, 0);
+    } else {
+      drawSlideLayer();
+    }
+    stageContext.globalAlpha = progress < 0.5 ? progress * 2 : (1 - progress) * 2;
+    stageContext.fillStyle = mode === "fade-black" ? "#000" : "#fff";
+    stageContext.fillRect(0, 0, width, height);
+    stageContext.globalAlpha = 1;
+  } else if (mode === "slide") {
+    const eased = 1 - (1 - progress) ** 3;
+    stageContext.drawImage(transitionCanvas, 0, 0);
+    stageContext.save();
+    stageContext.translate(Math.round((1 - eased) * width), 0);
+    drawSlideLayer();
+    stageContext.restore();
+  } else {
+    drawSlideLayer();
+  }
+}
+
+function drawStageFrame(timestamp = performance.now()) {
+  if (stageTransition && timestamp - stageTransition.startedAt >= stageTransition.duration) {
+    stageTransition = null;
+  }
+  if (!stageTransition) {
+    drawSlideLayer();
+    return;
+  }
+  drawTransitionFrame(Math.max(0, (timestamp - stageTransition.startedAt) / stageTransition.duration));
+}
+
+async function decodeWithImageElement(entry) {
+  const image = new Image();
+  image.src = entry.url;
+  await image.decode();
+  return image;
+}
+
+async function decodeBlob(entry, maxWidth = stageCanvas.width, maxHeight = stageCanvas.height) {
+  if (typeof createImageBitmap !== "function" || !entry.blob) {
+    return decodeWithImageElement(entry);
+  }
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(entry.blob);
+  } catch (error) {
+    // SVG and a few other formats cannot be turned into bitmaps straight from a blob.
+    return decodeWithImageElement(entry);
+  }
+  const scale = Math.min(1, maxWidth / bitmap.width, maxHeight / bitmap.height);
+  if (scale > 0.75) {
+    return bitmap;
+  }
+  try {
+    const resized = await createImageBitmap(bitmap, {
+      resizeWidth: Math.max(1, Math.round(bitmap.width * scale)),
+      resizeHeight: Math.max(1, Math.round(bitmap.height * scale)),
+      resizeQuality: "high"
+    });
+    bitmap.close();
+    return resized;
+  } catch (error) {
+    return bitmap;
+  }
+}
+
+function releaseDecoded(cached) {
+  if (cached.image && typeof cached.image.close === "function" && cached.image !== stageFrame) {
+    cached.image.close();
+  }
+  cached.image = null;
+}
+
+function trimDecodeCache(keep) {
+  for (const [signature, cached] of decodeCache) {
+    if (decodeCache.size <= DECODE_CACHE_LIMIT) {
+      break;
+    }
+    if (keep.has(signature) || (cached.image && cached.image === stageFrame)) {
+      continue;
+    }
+    decodeCache.delete(signature);
+    releaseDecoded(cached);
+  }
+}
+
+function decodeEntry(entry) {
+  const existing = decodeCache.get(entry.signature);
+  if (existing) {
+    decodeCache.delete(entry.signature);
+    decodeCache.set(entry.signature, existing);
+    return existing;
+  }
+  const cached = { image: null, ready: false };
+  decodeCache.set(entry.signature, cached);
+  decodeBlob(entry)
+    .then(image => {
+      cached.image = image;
+    })
+    .catch(error => {
+      console.warn(`Could not decode ${entry.label || "slide"}`, error);
+    })
+    .finally(() => {
+      cached.ready = true;
+      if (decodeCache.get(entry.signature) !== cached) {
+        releaseDecoded(cached);
+      }
+    });
+  return cached;
+}
+
+function preloadUpcoming() {
+  const upcoming = peekPlayIndices(DECODE_AHEAD).map(index => imageEntries[index]);
+  const keep = new Set(upcoming.map(entry => entry.signature));
+  if (imageEntries[currentIndex]) {
+    keep.add(imageEntries[currentIndex].signature);
+  }
+  upcoming.forEach(decodeEntry);
+  trimDecodeCache(keep);
+}
+
+function isEntryReady(entry) {
+  const cached = entry ? decodeCache.get(entry.signature) : null;
+  return Boolean(cached && cached.ready);
+}
+
+function clearDecodeCache() {
+  stageFrame = null;
+  stageTransition = null;
+  decodeCache.forEach(releaseDecoded);
+  decodeCache.clear();
+}
+
+function displayEntry(index, timestamp = performance.now()) {
+  const entry = imageEntries[index];
+  currentIndex = index;
+  stageCanvas.setAttribute("aria-label", entry.label || "Slideshow image");
+  const cached = decodeEntry(entry);
+  if (cached.ready) {
+    startTransition(entry, timestamp);
+    stageFrame = cached.image;
+    drawStageFrame(timestamp);
+    return;
+  }
+  // Manual steps can land on a slide that is still decoding; draw it once ready.
+  const waitForDecode = frameTime => {
+    if (!isRunning || currentIndex !== index) {
+      return;
+    }
+    if (!cached.ready) {
+      requestAnimationFrame(waitForDecode);
+      return;
+    }
+    startTransition(entry, frameTime);
+    stageFrame = cached.image;
+    drawStageFrame(frameTime);
+  };
+  requestAnimationFrame(waitForDecode);
+}
+
+// Soundtrack: the active playlist's tracks play in order on one <audio> element
+// routed through a gain node, which gives sample-accurate fades.
+const DEFAULT_AUDIO_SETTINGS = { volume: 80, fadeIn: 1000, fadeOut: 1000, loop: true };
+const MAX_AUDIO_FADE = 60000;
+const audioStorageKey = "lightning-slideshow-audio";
+const AUDIO_FILE_PATTERN = /\.(mp3|ogg|oga|opus|wav|flac|m4a|aac|weba)$/i;
+let audioSettings = { ...DEFAULT_AUDIO_SETTINGS };
+let audioTracks = [];
+let audioElement = null;
+let audioContext = null;
+let audioGain = null;
+let audioTrackIndex = 0;
+let audioPlaying = false;
+let audioStopTimeout = null;
+
+function normalizeAudioSettings(value) {
+  const source = value && typeof value === "object" ? value : {};
+  return {
+    volume: clampSetting(source.volume, 0, 100, DEFAULT_AUDIO_SETTINGS.volume),
+    fadeIn: clampSetting(source.fadeIn, 0, MAX_AUDIO_FADE, DEFAULT_AUDIO_SETTINGS.fadeIn),
+    fadeOut: clampSetting(source.fadeOut, 0, MAX_AUDIO_FADE, DEFAULT_AUDIO_SETTINGS.fadeOut),
+    loop: source.loop === undefined ? DEFAULT_AUDIO_SETTINGS.loop : Boolean(source.loop)
+  };
+}
+
+function storeAudioSettings(settings) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(audioStorageKey, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not persist audio settings", error);
+  }
+}
+
+function getStoredAudioSettings() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    const raw = localStorage.getItem(audioStorageKey);
+    if (raw !== null) {
+      return normalizeAudioSettings(JSON.parse(raw));
+    }
+  } catch (error) {
+    console.warn("Could not read audio settings", error);
+  }
+  return null;
+}
+
+function readAudioSettings() {
+  return normalizeAudioSettings({
+    volume: audioVolumeInput.value,
+    fadeIn: audioFadeInInput.value,
+    fadeOut: audioFadeOutInput.value,
+    loop: audioLoopInput.checked
+  });
+}
+
+function applyAudioSettings(settings, { persist = true } = {}) {
+  audioSettings = normalizeAudioSettings(settings);
+  audioVolumeInput.value = String(audioSettings.volume);
+  audioFadeInInput.value = String(audioSettings.fadeIn);
+  audioFadeOutInput.value = String(audioSettings.fadeOut);
+  audioLoopInput.checked = audioSettings.loop;
+  if (persist) {
+    storeAudioSettings(audioSettings);
+  }
+}
+
+function restoreAudioSetting() {
+  applyAudioSettings(getStoredAudioSettings() || DEFAULT_AUDIO_SETTINGS, { persist: false });
+}
+
+function isAudioFile(file) {
+  return (file.type || "").startsWith("audio/") || (!file.type && AUDIO_FILE_PATTERN.test(file.name || ""));
+}
+
+function renderAudioList() {
+  const fragment = document.createDocumentFragment();
+  audioTracks.forEach((track, index) => {
+    const item = document.createElement("li");
+    item.className = "audio-item";
+    item.dataset.signature = track.signature;
+    const name = document.createElement("span");
+    name.className = "audio-name";
+    name.textContent = track.name;
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "secondary audio-remove";
+    removeButton.textContent = "Remove";
+    removeButton.setAttribute("aria-label", `Remove audio track ${index + 1}`);
+    item.append(name, removeButton);
+    fragment.appendChild(item);
+  });
+  audioList.replaceChildren(fragment);
+  audioCount.textContent = audioTracks.length ? `(${audioTracks.length})` : "";
+}
+
+function releaseAudioTracks() {
+  audioTracks.forEach(track => URL.revokeObjectURL(track.url));
+  audioTracks = [];
+}
+
+async function loadPlaylistAudio(playlist) {
+  releaseAudioTracks();
+  const signatures = playlist && Array.isArray(playlist.audio) ? playlist.audio : [];
+  const records = await getAudioRecords(signatures);
+  for (const signature of signatures) {
+    const record = records.get(signature);
+    const blob = record ? slideRecordToBlob(record) : null;
+    if (blob) {
+      audioTracks.push({ signature, name: record.name || "Audio", url: URL.createObjectURL(blob) });
+    }
+  }
+  renderAudioList();
+}
+
+async function addAudioFile(file) {
+  const signature = await contentSignature(file, fileSignature(file));
+  if (audioTracks.some(track => track.signature === signature)) {
+    return 0;
+  }
+  const name = file.name || "Audio";
+  audioTracks.push({ signature, name, url: URL.createObjectURL(file) });
+  const playlist = getActivePlaylist();
+  if (playlist) {
+    playlist.audio = (playlist.audio || []).concat(signature);
+    await saveAudioRecord({ signature, name, blob: file, addedAt: Date.now() });
+    await putPlaylistRecords([playlist]);
+  }
+  renderAudioList();
+  return 1;
+}
+
+async function removeAudioTrack(signature) {
+  const track = audioTracks.find(item => item.signature === signature);
+  if (!track || isRunning) {
+    return;
+  }
+  URL.revokeObjectURL(track.url);
+  audioTracks = audioTracks.filter(item => item !== track);
+  renderAudioList();
+  const playlist = getActivePlaylist();
+  if (playlist) {
+    playlist.audio = (playlist.audio || []).filter(item => item !== signature);
+    await putPlaylistRecords([playlist]);
+    await pruneUnreferencedAudio([signature]);
+  }
+}
+
+function ensureAudioOutput() {
+  if (!audioElement) {
+    audioElement = new Audio();
+    audioElement.preload = "auto";
+    audioElement.addEventListener("ended", playNextTrack);
+  }
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!audioContext && AudioContextClass) {
+    try {
+      audioContext = new AudioContextClass();
+      audioGain = audioContext.createGain();
+      audioContext.createMediaElementSource(audioElement).connect(audioGain).connect(audioContext.destination);
+    } catch (error) {
+      console.warn("Web Audio unavailable, fades disabled", error);
+      audioContext = null;
+      audioGain = null;
+    }
+  }
+}
+
+// Ramps the output level; without Web Audio the level just jumps.
+function rampAudio(level, duration) {
+  if (!audioGain) {
+    audioElement.volume = level;
+    return;
+  }
+  const now = audioContext.currentTime;
+  const { gain } = audioGain;
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(gain.value, now);
+  if (duration > 0) {
+    gain.linearRampToValueAtTime(level, now + duration / 1000);
+  } else {
+    gain.setValueAtTime(level, now);
+  }
+}
+
+function playTrack(index) {
+  const track = audioTracks[index];
+  audioTrackIndex = index;
+  audioElement.src = track.url;
+  audioElement.loop = audioSettings.loop && audioTracks.length === 1;
+  audioElement.play().catch(error => {
+    console.warn(`Could not play ${track.name}`, error);
+  });
+}
+
+function playNextTrack() {
+  if (!audioPlaying || !audioTracks.length) {
+    return;
+  }
+  const next = audioTrackIndex + 1;
+  if (next < audioTracks.length) {
+    playTrack(next);
+  } else if (audioSettings.loop) {
+    playTrack(0);
+  }
+}
+
+function resetAudioElement() {
+  audioElement.pause();
+  audioElement.removeAttribute("src");
+  audioElement.load();
+}
+
+function startAudio() {
+  if (!audioTracks.length) {
+    return;
+  }
+  ensureAudioOutput();
+  if (audioStopTimeout) {
+    clearTimeout(audioStopTimeout);
+    audioStopTimeout = null;
+    resetAudioElement();
+  }
+  if (audioContext && audioContext.state === "suspended") {
+    audioContext.resume().catch(() => {});
+  }
+  audioPlaying = true;
+  rampAudio(0, 0);
+  playTrack(0);
+  rampAudio(audioSettings.volume / 100, audioSettings.fadeIn);
+}
+
+function pauseAudio(paused) {
+  if (!audioPlaying) {
+    return;
+  }
+  if (paused) {
+    audioElement.pause();
+  } else if (!audioElement.ended) {
+    audioElement.play().catch(() => {});
+  }
+}
+
+function stopAudio(fade = audioSettings.fadeOut) {
+  if (!audioPlaying) {
+    return;
+  }
+  audioPlaying = false;
+  const fadeOut = audioGain && !audioElement.paused ? fade : 0;
+  rampAudio(0, fadeOut);
+  audioStopTimeout = setTimeout(() => {
+    audioStopTimeout = null;
+    resetAudioElement();
+  }, fadeOut);
+}
+
+// The overlay is a second layer above the stage canvas: a looping list of phrases
+// or a watermark image, with its own opacity, placement and cycle timing.
+const OVERLAY_MODES = ["text", "image"];
+const OVERLAY_POSITIONS = {
+  "top-left": ["flex-start", "flex-start"],
+  top: ["center", "flex-start"],
+  "top-right": ["flex-end", "flex-start"],
+  left: ["flex-start", "center"],
+  center: ["center", "center"],
+  right: ["flex-end", "center"],
+  "bottom-left": ["flex-start", "flex-end"],
+  bottom: ["center", "flex-end"],
+  "bottom-right": ["flex-end", "flex-end"]
+};
+const DEFAULT_OVERLAY = {
+  enabled: false,
+  mode: "text",
+  phrases: [],
+  image: null,
+  opacity: 50,
+  position: "bottom",
+  font: "sans",
+  size: 48,
+  color: "#ffffff",
+  imageScale: 20,
+  cycle: 1000
+};
+const MAX_OVERLAY_CYCLE = 600000;
+const MAX_OVERLAY_IMAGE_EDGE = 512;
+const overlayStorageKey = "lightning-slideshow-overlay";
+let overlaySettings = { ...DEFAULT_OVERLAY };
+let overlayShown = false;
+let overlayPhraseIndex = -1;
+let overlayDeadline = 0;
+
+function clampSetting(value, min, max, fallback) {
+  const number = Math.round(Number(value));
+  if (value === null || value === "" || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, number));
+}
+
+function normalizeOverlaySettings(value) {
+  const source = value && typeof value === "object" ? value : {};
+  return {
+    enabled: Boolean(source.enabled),
+    mode: OVERLAY_MODES.includes(source.mode) ? source.mode : DEFAULT_OVERLAY.mode,
+    phrases: Array.isArray(source.phrases)
+      ? source.phrases.map(phrase => String(phrase).trim()).filter(Boolean)
+      : [],
+    image: typeof source.image === "string" && source.image.startsWith("data:image/") ? source.image : null,
+    opacity: clampSetting(source.opacity, 0, 100, DEFAULT_OVERLAY.opacity),
+    position: Object.prototype.hasOwnProperty.call(OVERLAY_POSITIONS, source.position) ? source.position : DEFAULT_OVERLAY.position,
+    font: Object.prototype.hasOwnProperty.call(TEXT_FONTS, source.font) ? source.font : DEFAULT_OVERLAY.font,
+    size: clampSetting(source.size, 8, MAX_TEXT_SIZE, DEFAULT_OVERLAY.size),
+    color: normalizeColor(source.color, DEFAULT_OVERLAY.color),
+    imageScale: clampSetting(source.imageScale, 1, 100, DEFAULT_OVERLAY.imageScale),
+    cycle: clampSetting(source.cycle, 0, MAX_OVERLAY_CYCLE, DEFAULT_OVERLAY.cycle)
+  };
+}
+
+function storeOverlaySettings(settings) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(overlayStorageKey, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not persist overlay settings", error);
+  }
+}
+
+function getStoredOverlaySettings() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    const raw = localStorage.getItem(overlayStorageKey);
+    if (raw !== null) {
+      return normalizeOverlaySettings(JSON.parse(raw));
+    }
+  } catch (error) {
+    console.warn("Could not read overlay settings", error);
+  }
+  return null;
+}
+
+function readOverlaySettings() {
+  return normalizeOverlaySettings({
+    enabled: overlayEnabledInput.checked,
+    mode: overlayModeSelect.value,
+    phrases: overlayPhrasesInput.value.split(/\r?\n/),
+    image: overlaySettings.image,
+    opacity: overlayOpacityInput.value,
+    position: overlayPositionSelect.value,
+    font: overlayFontSelect.value,
+    size: overlaySizeInput.value,
+    color: overlayColorInput.value,
+    imageScale: overlayImageScaleInput.value,
+    cycle: overlayCycleInput.value
+  });
+}
+
+function applyOverlaySettings(settings, { persist = true } = {}) {
+  overlaySettings = normalizeOverlaySettings(settings);
+  overlayEnabledInput.checked = overlaySettings.enabled;
+  overlayModeSelect.value = overlaySettings.mode;
+  overlayPhrasesInput.value = overlaySettings.phrases.join("\n");
+  overlayOpacityInput.value = String(overlaySettings.opacity);
+  overlayPositionSelect.value = overlaySettings.position;
+  overlayFontSelect.value = overlaySettings.font;
+  overlaySizeInput.value = String(overlaySettings.size);
+  overlayColorInput.value = overlaySettings.color;
+  overlayImageScaleInput.value = String(overlaySettings.imageScale);
+  overlayCycleInput.value = String(overlaySettings.cycle);
+  overlayPhrasesInput.classList.toggle("hidden", overlaySettings.mode !== "text");
+  overlayTextRow.classList.toggle("hidden", overlaySettings.mode !== "text");
+  overlayImageRow.classList.toggle("hidden", overlaySettings.mode !== "image");
+  overlayImagePreview.classList.toggle("hidden", !overlaySettings.image);
+  overlayImagePreview.src = overlaySettings.image || "";
+  overlayImageClearBtn.disabled = !overlaySettings.image;
+  if (persist) {
+    storeOverlaySettings(overlaySettings);
+  }
+  if (isRunning) {
+    renderOverlay();
+  }
+}
+
+function restoreOverlaySetting() {
+  applyOverlaySettings(getStoredOverlaySettings() || DEFAULT_OVERLAY, { persist: false });
+}
+
+// Watermarks live in localStorage and packages, so they are kept small.
+async function setOverlayImage(file) {
+  if (!file || !file.type.startsWith("image/")) {
+    showStatus("Choose an image for the overlay.");
+    return;
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await decodeBlob({ blob: file, url }, MAX_OVERLAY_IMAGE_EDGE, MAX_OVERLAY_IMAGE_EDGE);
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const scale = Math.min(1, MAX_OVERLAY_IMAGE_EDGE / width, MAX_OVERLAY_IMAGE_EDGE / height);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+    if (typeof image.close === "function") {
+      image.close();
+    }
+    overlaySettings.image = canvas.toDataURL("image/png");
+    applyOverlaySettings(readOverlaySettings());
+    showStatus("Overlay image set.");
+  } catch (error) {
+    console.warn("Could not load overlay image", error);
+    showStatus("Could not load overlay image.");
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function overlayHasContent() {
+  return overlaySettings.mode === "image" ? Boolean(overlaySettings.image) : overlaySettings.phrases.length > 0;
+}
+
+function renderOverlay() {
+  const visible = isRunning && overlayShown && overlayHasContent();
+  stageOverlay.classList.toggle("hidden", !visible);
+  if (!visible) {
+    return;
+  }
+  const [justify, align] = OVERLAY_POSITIONS[overlaySettings.position];
+  stageOverlay.style.justifyContent = justify;
+  stageOverlay.style.alignItems = align;
+  stageOverlayImage.style.opacity = String(overlaySettings.opacity / 100);
+  stageOverlayText.style.opacity = String(overlaySettings.opacity / 100);
+
+  const isImage = overlaySettings.mode === "image";
+  stageOverlayImage.classList.toggle("hidden", !isImage);
+  stageOverlayText.classList.toggle("hidden", isImage);
+  if (isImage) {
+    if (stageOverlayImage.getAttribute("src") !== overlaySettings.image) {
+      stageOverlayImage.src = overlaySettings.image;
+    }
+    stageOverlayImage.style.height = `${overlaySettings.imageScale}vh`;
+    return;
+  }
+  stageOverlayText.style.fontFamily = TEXT_FONTS[overlaySettings.font];
+  stageOverlayText.style.fontSize = `${overlaySettings.size}px`;
+  stageOverlayText.style.color = overlaySettings.color;
+  const phrases = overlaySettings.phrases;
+  stageOverlayText.textContent = overlayPhraseIndex >= 0 ? phrases[overlayPhraseIndex % phrases.length] : "";
+}
+
+function startOverlay() {
+  overlayShown = overlaySettings.enabled;
+  overlayPhraseIndex = -1;
+  overlayDeadline = 0;
+  renderOverlay();
+}
+
+// Runs on the slideshow's animation frame but keeps its own deadline, so the
+// phrases change at their own pace whatever the slide delay is.
+function advanceOverlay(timestamp) {
+  if (!overlayShown || overlaySettings.mode !== "text" || !overlaySettings.phrases.length) {
+    return;
+  }
+  if (overlayPhraseIndex >= 0 && timestamp + frameInterval / 2 < overlayDeadline) {
+    return;
+  }
+  const lag = timestamp - overlayDeadline;
+  const idealStart = overlayPhraseIndex < 0 || lag > Math.max(100, frameInterval * 4) ? timestamp : overlayDeadline;
+  overlayPhraseIndex = (overlayPhraseIndex + 1) % overlaySettings.phrases.length;
+  overlayDeadline = idealStart + overlaySettings.cycle;
+  renderOverlay();
+}
+
+function toggleOverlay() {
+  if (!isRunning) {
+    return;
+  }
+  overlayShown = !overlayShown;
+  if (overlayShown) {
+    overlayPhraseIndex = -1;
+    if (isPaused) {
+      advanceOverlay(performance.now());
+    }
+  }
+  renderOverlay();
+  showStageInfo();
+}
+
+function showNextImage(timestamp, idealStart) {
+  if (!isRunning || isPaused) {
+    return;
+  }
+
+  if (!imageEntries.length) {
+    stopSlideshow("empty");
+    return;
+  }
+
+  beginSlide(nextPlayIndex(1), timestamp, idealStart);
+  preloadUpcoming();
+}
+
+function describeDelay(delay) {
+  const rate = `${Math.round(1000 / frameInterval)} Hz`;
+  if (delay <= 0) {
+    return `every frame @ ${rate}`;
+  }
+  const frames = Math.max(1, Math.round(delay / frameInterval));
+  return `${formatDuration(delay)} ≈ ${frames} frame${frames === 1 ? "" : "s"} @ ${rate}`;
+}
+
+function hideStageInfo() {
+  if (stageInfoTimeout) {
+    clearTimeout(stageInfoTimeout);
+    stageInfoTimeout = null;
+  }
+  stageInfo.classList.remove("visible");
+}
+
+function showStageInfo() {
+  if (!isRunning || currentIndex < 0) {
+    return;
+  }
+  const entry = imageEntries[currentIndex];
+  const hasOwnDuration = entry && entry.duration !== null && entry.duration !== undefined;
+  const parts = [
+    `${currentIndex + 1} / ${imageEntries.length}`,
+    entry ? entry.label || "Image" : "",
+    `${describeDelay(getEntryDuration(entry))}${hasOwnDuration ? " (slide)" : ""}`
+  ];
+  if (isPaused) {
+    parts.push("Paused");
+  }
+  if (overlayHasContent()) {
+    parts.push(overlayShown ? "Overlay on" : "Overlay off");
+  }
+  stageInfo.textContent = parts.filter(Boolean).join(" · ");
+  stageInfo.classList.add("visible");
+
+  if (stageInfoTimeout) {
+    clearTimeout(stageInfoTimeout);
+    stageInfoTimeout = null;
+  }
+  if (!isPaused) {
+    stageInfoTimeout = setTimeout(() => {
+      stageInfoTimeout = null;
+      stageInfo.classList.remove("visible");
+    }, 1500);
+  }
+}
+
+// Session limits end playback after a play time, a number of loops or at a clock
+// time. Pauses do not count towards a play-time limit.
+const SESSION_LIMITS = ["none", "duration", "loops", "end-time"];
+const DEFAULT_SESSION = { limit: "none", minutes: 20, loops: 1, endTime: "22:00", fadeOut: 3000, countdown: false };
+const MAX_SESSION_MINUTES = 1440;
+const MAX_SESSION_LOOPS = 10000;
+const MAX_SESSION_FADE = 60000;
+const SESSION_END_REASONS = {
+  stopped: "Stopped",
+  duration: "Time limit reached",
+  loops: "Loop limit reached",
+  "end-time": "End time reached",
+  empty: "No slides left"
+};
+const sessionStorageKey = "lightning-slideshow-session";
+let sessionSettings = { ...DEFAULT_SESSION };
+let session = null;
+let sessionEnd = null;
+
+function normalizeSessionSettings(value) {
+  const source = value && typeof value === "object" ? value : {};
+  return {
+    limit: SESSION_LIMITS.includes(source.limit) ? source.limit : DEFAULT_SESSION.limit,
+    minutes: clampSetting(source.minutes, 1, MAX_SESSION_MINUTES, DEFAULT_SESSION.minutes),
+    loops: clampSetting(source.loops, 1, MAX_SESSION_LOOPS, DEFAULT_SESSION.loops),
+    endTime: typeof source.endTime === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(source.endTime) ? source.endTime : DEFAULT_SESSION.endTime,
+    fadeOut: clampSetting(source.fadeOut, 0, MAX_SESSION_FADE, DEFAULT_SESSION.fadeOut),
+    countdown: Boolean(source.countdown)
+  };
+}
+
+function storeSessionSettings(settings) {
+  if (typeof localStorage === "undefined") {
+    return;
+  }
+  try {
+    localStorage.setItem(sessionStorageKey, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not persist session settings", error);
+  }
+}
+
+function getStoredSessionSettings() {
+  if (typeof localStorage === "undefined") {
+    return null;
+  }
+  try {
+    const raw = localStorage.getItem(sessionStorageKey);
+    if (raw !== null) {
+      return normalizeSessionSettings(JSON.parse(raw));
+    }
+  } catch (error) {
+    console.warn("Could not read session settings", error);
+  }
+  return null;
+}
+
+function readSessionSettings() {
+  return normalizeSessionSettings({
+    limit: sessionLimitSelect.value,
+    minutes: sessionMinutesInput.value,
+    loops: sessionLoopsInput.value,
+    endTime: sessionEndTimeInput.value,
+    fadeOut: sessionFadeInput.value,
+    countdown: sessionSettings.countdown
+  });
+}
+
+function applySessionSettings(settings, { persist = true } = {}) {
+  sessionSettings = normalizeSessionSettings(settings);
+  sessionLimitSelect.value = sessionSettings.limit;
+  sessionMinutesInput.value = String(sessionSettings.minutes);
+  sessionLoopsInput.value = String(sessionSettings.loops);
+  sessionEndTimeInput.value = sessionSettings.endTime;
+  sessionFadeInput.value = String(sessionSettings.fadeOut);
+  sessionMinutesInput.classList.toggle("hidden", sessionSettings.limit !== "duration");
+  sessionLoopsInput.classList.toggle("hidden", sessionSettings.limit !== "loops");
+  sessionEndTimeInput.classList.toggle("hidden", sessionSettings.limit !== "end-time");
+  if (persist) {
+    storeSessionSettings(sessionSettings);
+  }
+}
+
+function restoreSessionSetting() {
+  applySessionSettings(getStoredSessionSettings() || DEFAULT_SESSION, { persist: false });
 }
 
-async function restorePersistedSlides() {
-  const storedSlides = await getPersistedSlides();
-  if (!storedSlides.length) {
-    updateDropZoneMessage();
-    startBtn.disabled = imageEntries.length === 0;
-    return;
+// Milliseconds from now until the next time the clock shows `endTime`.
+function msUntilClockTime(endTime) {
+  const [hours, minutes] = endTime.split(":").map(Number);
+  const now = new Date();
+  const end = new Date(now);
+  end.setHours(hours, minutes, 0, 0);
+  if (end <= now) {
+    end.setDate(end.getDate() + 1);
   }
+  return end - now;
+}
 
-  for (const slide of storedSlides) {
-    if (!slide || !slide.signature) {
-      continue;
-    }
-
-    let blob = null;
+function startSession() {
+  const now = performance.now();
+  const playlist = getActivePlaylist();
+  session = {
+    startedAt: Date.now(),
+    startTime: now,
+    playlistId: playlist ? playlist.id : null,
+    playlistName: playlist ? playlist.name : DEFAULT_PLAYLIST_NAME,
+    delay: Number(delayRange.value),
+    order: orderSelect.value,
+    pausedFor: 0,
+    slidesShown: 0,
+    loops: 0,
+    limitAt: Infinity
+  };
+  sessionEnd = null;
+  if (sessionSettings.limit === "duration") {
+    session.limitAt = now + sessionSettings.minutes * 60000;
+  } else if (sessionSettings.limit === "end-time") {
+    session.limitAt = now + msUntilClockTime(sessionSettings.endTime);
+  }
+  stage.classList.remove("fading");
+  stageCountdown.textContent = "";
+  stageCountdown.classList.toggle("hidden", !sessionSettings.countdown);
+}
 
-    if (slide.blob instanceof Blob) {
-      blob = slide.blob;
-    } else if (slide.bytes) {
-      try {
-        blob = new Blob([slide.bytes], { type: slide.type || "application/octet-stream" });
-      } catch (error) {
-        console.warn("Could not reconstruct slide", error);
-        continue;
-      }
-    }
+function sessionLimitReason(timestamp) {
+  if (!session || timestamp < session.limitAt) {
+    return null;
+  }
+  return sessionSettings.limit;
+}
 
-    if (!blob) {
-      continue;
-    }
+// True when the slide on screen is the last one of the final allowed loop.
+function isLastLoopSlide() {
+  return Boolean(session)
+    && sessionSettings.limit === "loops"
+    && playOrder.length > 0
+    && playPosition >= playOrder.length - 1
+    && session.loops + 1 >= sessionSettings.loops;
+}
 
-    await registerEntry({
-      blob,
-      label: slide.label || "Image",
-      signature: slide.signature,
-      persist: false,
-      addedAt: slide.addedAt || Date.now()
-    });
+function beginSessionEnd(reason, timestamp) {
+  if (reason === "loops") {
+    // The final loop ends on its last slide, before the order wraps and counts it.
+    session.loops += 1;
   }
-
-  updateDropZoneMessage();
-  startBtn.disabled = imageEntries.length === 0;
+  sessionEnd = { reason, at: timestamp + sessionSettings.fadeOut };
+  if (sessionSettings.fadeOut > 0) {
+    stage.style.setProperty("--session-fade", `${sessionSettings.fadeOut}ms`);
+    stage.classList.add("fading");
+  }
+  stopAudio(sessionSettings.fadeOut);
+  hideStageInfo();
 }
 
-function syncDelayFromRange() {
-  applyDelay(Number(delayRange.value));
+function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = value => String(value).padStart(2, "0");
+  return hours ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
 }
 
-function syncDelayFromInput() {
-  const value = Number(delayInput.value);
-  if (Number.isNaN(value)) {
-    applyDelay(Number(delayRange.value), { persist: false });
+function updateCountdown(timestamp) {
+  if (!session || !sessionSettings.countdown) {
     return;
   }
-  const clamped = Math.min(2000, Math.max(0, value));
-  applyDelay(clamped);
-}
-
-function scheduleNextFrame() {
-  const delay = Number(delayRange.value);
-  if (delay <= 0) {
-    slideshowRaf = requestAnimationFrame(showNextImage);
+  let text;
+  if (sessionSettings.limit === "loops") {
+    text = `Loop ${Math.min(session.loops + 1, sessionSettings.loops)} / ${sessionSettings.loops}`;
+  } else if (Number.isFinite(session.limitAt)) {
+    text = `${formatClock(session.limitAt - timestamp)} left`;
   } else {
-    slideshowTimeout = setTimeout(showNextImage, delay);
+    text = formatClock(timestamp - session.startTime - session.pausedFor);
+  }
+  if (stageCountdown.textContent !== text) {
+    stageCountdown.textContent = text;
   }
 }
 
-function showNextImage() {
+function toggleCountdown() {
   if (!isRunning) {
     return;
   }
+  applySessionSettings({ ...sessionSettings, countdown: !sessionSettings.countdown });
+  stageCountdown.classList.toggle("hidden", !sessionSettings.countdown);
+  updateCountdown(isPaused ? pausedAt : performance.now());
+}
 
-  if (!imageEntries.length) {
-    stopSlideshow();
+function describeSession(summary) {
+  const parts = [
+    `Played ${formatDuration(Math.round(summary.playedFor / 1000) * 1000)}`,
+    `${summary.slidesShown} slide${summary.slidesShown === 1 ? "" : "s"} shown`,
+    `${summary.loops} full loop${summary.loops === 1 ? "" : "s"}`
+  ];
+  if (summary.pausedFor >= 1000) {
+    parts.push(`paused ${formatDuration(Math.round(summary.pausedFor / 1000) * 1000)}`);
+  }
+  return `${parts.join(" · ")}.`;
+}
+
+// Closes the running session and returns what happened in it.
+function finishSession(reason, endTime) {
+  if (!session) {
+    return null;
+  }
+  const summary = {
+    startedAt: session.startedAt,
+    endedAt: Date.now(),
+    playlistId: session.playlistId,
+    playlistName: session.playlistName,
+    delay: session.delay,
+    order: session.order,
+    playedFor: Math.max(0, endTime - session.startTime - session.pausedFor),
+    pausedFor: session.pausedFor,
+    slidesShown: session.slidesShown,
+    loops: session.loops,
+    reason
+  };
+  session = null;
+  sessionEnd = null;
+  stage.classList.remove("fading");
+  stageCountdown.classList.add("hidden");
+  return summary;
+}
+
+function showSessionSummary(summary) {
+  sessionSummaryTitle.textContent = `Session ended: ${SESSION_END_REASONS[summary.reason] || SESSION_END_REASONS.stopped}`;
+  sessionSummaryText.textContent = describeSession(summary);
+  sessionSummary.classList.remove("hidden");
+}
+
+function togglePause() {
+  if (!isRunning || sessionEnd) {
     return;
   }
+  const now = performance.now();
+  isPaused = !isPaused;
+  clearTimers();
+  pauseAudio(isPaused);
+  if (isPaused) {
+    pausedAt = now;
+  } else {
+    if (overlayDeadline) {
+      overlayDeadline += now - pausedAt;
+    }
+    if (stageTransition) {
+      stageTransition.startedAt += now - pausedAt;
+    }
+    if (session) {
+      session.pausedFor += now - pausedAt;
+      if (sessionSettings.limit === "duration") {
+        session.limitAt += now - pausedAt;
+      }
+    }
+    if (slideTiming) {
+      const pausedFor = now - pausedAt;
+      slideTiming.deadline += pausedFor;
+      slideTiming.pausedFor += pausedFor;
+      slideTiming.interrupted = true;
+    }
+    lastFrameTime = null;
+    scheduleNextFrame();
+  }
+  showStageInfo();
+}
 
-  const entry = imageEntries[currentIndex];
-  stageImage.src = entry.url;
-  stageImage.alt = entry.label || "Slideshow image";
+function stepSlideshow(direction) {
+  if (!isRunning || !imageEntries.length || sessionEnd) {
+    return;
+  }
+  const now = performance.now();
+  if (slideTiming) {
+    slideTiming.interrupted = true;
+  }
+  if (isPaused) {
+    finishSlideTiming(pausedAt);
+    pausedAt = now;
+  }
+  beginSlide(nextPlayIndex(direction), now, now);
+  slideTiming.interrupted = true;
+  preloadUpcoming();
+  showStageInfo();
+}
 
-  currentIndex = (currentIndex + 1) % imageEntries.length;
-  scheduleNextFrame();
+function adjustDelay(amount) {
+  if (!isRunning) {
+    return;
+  }
+  applyDelay(Number(delayRange.value) + amount);
+  if (slideTiming) {
+    slideTiming.expected = getEntryDuration(imageEntries[slideTiming.index]);
+    slideTiming.deadline = slideTiming.idealStart + slideTiming.pausedFor + slideTiming.expected;
+    slideTiming.interrupted = true;
+  }
+  showStageInfo();
 }
 
 async function startSlideshow() {
@@ -701,10 +5741,19 @@ async function startSlideshow() {
   }
 
   isRunning = true;
-  currentIndex = 0;
+  isPaused = false;
+  currentIndex = -1;
+  resetPlayOrder();
+  resetTimingState();
   startBtn.disabled = true;
   loader.classList.add("hidden");
   stage.classList.remove("hidden");
+  resizeStageCanvas();
+  drawStageFrame();
+  startSession();
+  startOverlay();
+  startAudio();
+  sessionSummary.classList.add("hidden");
 
   try {
     if (stage.requestFullscreen && !document.fullscreenElement) {
@@ -714,32 +5763,40 @@ async function startSlideshow() {
     console.warn("Fullscreen request failed", err);
   }
 
-  showNextImage();
+  scheduleNextFrame();
 }
 
 function clearTimers() {
-  if (slideshowTimeout) {
-    clearTimeout(slideshowTimeout);
-    slideshowTimeout = null;
-  }
-
   if (slideshowRaf) {
     cancelAnimationFrame(slideshowRaf);
     slideshowRaf = null;
   }
 }
 
-function stopSlideshow() {
+function stopSlideshow(reason = "stopped") {
   if (!isRunning) {
     return;
   }
 
+  const endTime = isPaused ? pausedAt : performance.now();
+  finishSlideTiming(endTime);
+  const summary = finishSession(reason, endTime);
+  if (summary) {
+    showSessionSummary(summary);
+    void recordSessionHistory(summary);
+  }
   isRunning = false;
+  isPaused = false;
+  hideStageInfo();
+  renderOverlay();
+  stopAudio();
+  renderTimingReport();
   startBtn.disabled = imageEntries.length === 0;
   loader.classList.remove("hidden");
   stage.classList.add("hidden");
-  stageImage.removeAttribute("src");
-  stageImage.removeAttribute("alt");
+  clearDecodeCache();
+  drawStageFrame();
+  stageCanvas.removeAttribute("aria-label");
 
   clearTimers();
 
@@ -751,14 +5808,20 @@ function stopSlideshow() {
 async function resetGallery() {
   stopSlideshow();
   clearTimers();
+  const removed = imageEntries.map(entry => entry.signature);
   revokeAll();
   imageEntries = [];
   imageSignatures.clear();
+  selectedSignatures.clear();
   currentIndex = 0;
   updateDropZoneMessage();
+  renderGallery();
   startBtn.disabled = true;
-  await clearPersistedSlides();
+  await persistActivePlaylist();
+  await pruneUnreferencedSlides(removed);
   applyDelay(DEFAULT_DELAY);
+  applyOrderMode(DEFAULT_ORDER_MODE);
+  void refreshStorageEstimate();
 }
 
 function preventDefaults(event) {
@@ -781,40 +5844,13 @@ dropZone.addEventListener("dragleave", event => {
 dropZone.addEventListener("drop", async event => {
   preventDefaults(event);
   dropZone.classList.remove("dragover");
-  const files = collectFilesFromDataTransfer(event.dataTransfer);
-  const result = await addFiles(files);
-  const messages = [];
-  if (result.added > 0) {
-    let message = `Added ${result.added} slide${result.added === 1 ? "" : "s"}.`;
-    if (result.packageSlidesAdded > 0) {
-      message += ` (${result.packageSlidesAdded} from saved package${result.packageSlidesAdded === 1 ? "" : "s"}.)`;
-    }
-    messages.push(message);
-  }
-  if (result.supported > 0 && result.added === 0 && !result.pdfUnsupported) {
-    messages.push("Everything was already added.");
-  }
-  if (result.packageErrors > 0) {
-    messages.push("Some saved packages could not be read.");
-  }
-  if (result.packagesProcessed > 0 && result.packageSlidesAdded === 0) {
-    if (result.packageSlidesTotal > 0) {
-      messages.push("Saved package already loaded.");
-    } else {
-      messages.push("Saved package contained no slides.");
-    }
-  }
-  if (result.pdfUnsupported > 0) {
-    messages.push("PDF support is not available in this browser.");
-  }
-  if (result.unsupported > 0) {
-    messages.push(`Skipped ${result.unsupported} unsupported file${result.unsupported === 1 ? '' : 's'}.`);
-  }
-  if (messages.length) {
-    showStatus(messages.join(" "));
-  } else {
-    updateDropZoneMessage();
+  const droppedUrls = getDataTransferUrls(event.dataTransfer);
+  const files = await collectDroppedFiles(event.dataTransfer);
+  if (!files.length && droppedUrls.length) {
+    await importUrls(droppedUrls);
+    return;
   }
+  await importChosenFiles(files);
 });
 
 selectFilesBtn.addEventListener("click", () => {
@@ -822,24 +5858,34 @@ selectFilesBtn.addEventListener("click", () => {
   fileInput.click();
 });
 
-fileInput.addEventListener("change", async event => {
-  const files = event.target.files;
-  const result = await addFiles(files);
-  event.target.value = "";
+// Builds the status lines for an addFiles() result. Clipboard imports word a
+// few of them differently.
+function describeImportResult(result, { clipboard = false } = {}) {
   const messages = [];
   if (result.added > 0) {
-    let message = `Added ${result.added} slide${result.added === 1 ? "" : "s"}.`;
+    let message = `Added ${result.added} slide${result.added === 1 ? "" : "s"}${clipboard ? " from the clipboard" : ""}.`;
     if (result.packageSlidesAdded > 0) {
       message += ` (${result.packageSlidesAdded} from saved package${result.packageSlidesAdded === 1 ? "" : "s"}.)`;
     }
     messages.push(message);
   }
-  if (result.supported > 0 && result.added === 0 && !result.pdfUnsupported) {
-    messages.push("No new slides to add.");
+  if (result.duplicates > 0) {
+    messages.push(`${result.duplicates} duplicate${result.duplicates === 1 ? "" : "s"} skipped.`);
+  } else if (result.supported > 0 && result.added === 0 && !result.pdfUnsupported && !result.cancelled) {
+    messages.push(clipboard ? "Everything from the clipboard is already added." : "Everything was already added.");
   }
   if (result.packageErrors > 0) {
     messages.push("Some saved packages could not be read.");
   }
+  if (result.archiveErrors > 0) {
+    messages.push(`${result.archiveErrors} archive${result.archiveErrors === 1 ? "" : "s"} could not be opened.`);
+  }
+  if (result.archiveFailures > 0) {
+    messages.push(`${result.archiveFailures} file${result.archiveFailures === 1 ? "" : "s"} inside archives could not be unpacked.`);
+  }
+  if (result.frameFailures > 0) {
+    messages.push(`${result.frameFailures} frame${result.frameFailures === 1 ? "" : "s"} of animated images could not be decoded.`);
+  }
   if (result.packagesProcessed > 0 && result.packageSlidesAdded === 0) {
     if (result.packageSlidesTotal > 0) {
       messages.push("Saved package already loaded.");
@@ -847,17 +5893,57 @@ fileInput.addEventListener("change", async event => {
       messages.push("Saved package contained no slides.");
     }
   }
+  if (result.audioAdded > 0) {
+    messages.push(`Added ${result.audioAdded} audio track${result.audioAdded === 1 ? "" : "s"}.`);
+  }
+  if (result.bytesSaved > 0) {
+    messages.push(`Optimizing saved ${formatBytes(result.bytesSaved)}.`);
+  }
   if (result.pdfUnsupported > 0) {
     messages.push("PDF support is not available in this browser.");
   }
   if (result.unsupported > 0) {
-    messages.push(`Skipped ${result.unsupported} unsupported file${result.unsupported === 1 ? '' : 's'}.`);
+    const files = `${result.unsupported} unsupported file${result.unsupported === 1 ? "" : "s"}`;
+    messages.push(clipboard ? `The clipboard held ${files}.` : `Skipped ${files}.`);
   }
+  if (result.cancelled) {
+    messages.push("Import cancelled.");
+  }
+  return messages;
+}
+
+async function importChosenFiles(files, emptyMessage = "", notes = []) {
+  if (!files.length && emptyMessage) {
+    showStatus(emptyMessage);
+    return;
+  }
+  const result = await addFiles(files);
+  const messages = [...describeImportResult(result), ...notes];
   if (messages.length) {
     showStatus(messages.join(" "));
   } else {
     updateDropZoneMessage();
   }
+}
+
+async function importClipboardFiles(files) {
+  const result = await addFiles(files);
+  showStatus(describeImportResult(result, { clipboard: true }).join(" ") || "Found no supported files in the clipboard.");
+}
+
+fileInput.addEventListener("change", event => {
+  const files = Array.from(event.target.files);
+  event.target.value = "";
+  void importChosenFiles(files);
+});
+
+selectFolderBtn.addEventListener("click", () => { void chooseFolder(); });
+urlImportBtn.addEventListener("click", () => { void importUrlList(); });
+
+folderInput.addEventListener("change", event => {
+  const items = Array.from(event.target.files).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+  event.target.value = "";
+  void importChosenFiles(orderFolderFiles(items), "The folder has no files to import.");
 });
 
 startBtn.addEventListener("click", startSlideshow);
@@ -866,44 +5952,264 @@ if (saveBtn) {
   saveBtn.addEventListener("click", () => { void handleSaveClick(); });
 }
 
-delayRange.addEventListener("input", syncDelayFromRange);
-delayInput.addEventListener("input", syncDelayFromInput);
+exportAnimationBtn.addEventListener("click", () => { void handleAnimationExportClick(); });
+[sessionLimitSelect, sessionMinutesInput, sessionLoopsInput, sessionEndTimeInput, sessionFadeInput].forEach(input => {
+  input.addEventListener("change", () => {
+    applySessionSettings(readSessionSettings());
+  });
+});
+sessionSummaryCloseBtn.addEventListener("click", () => {
+  sessionSummary.classList.add("hidden");
+});
+[importOptimizeInput, importMaxEdgeInput, importFormatSelect, importQualityInput, importKeepOriginalInput, importIncludeInput, importExcludeInput, importSplitAnimationsInput, importVideoFramesSelect, importFrameIntervalInput, importSceneChangeInput].forEach(input => {
+  input.addEventListener("change", () => {
+    applyImportSettings(readImportSettings());
+  });
+});
+importCancelBtn.addEventListener("click", cancelImport);
+storageExportBtn.addEventListener("click", () => { void handleSaveClick(); });
+storageCleanupBtn.addEventListener("click", () => { void freeUpStorage(); });
+storageDismissBtn.addEventListener("click", dismissStorageWarning);
+pdfFormatSelect.addEventListener("change", () => {
+  pdfQualityInput.disabled = pdfFormatSelect.value === "png";
+});
+pdfForm.addEventListener("submit", event => {
+  event.preventDefault();
+  submitPdfDialog();
+});
+pdfCancelBtn.addEventListener("click", cancelPdfDialog);
+pdfDialog.addEventListener("cancel", event => {
+  // Esc skips the PDF or stops rendering instead of just hiding the dialog.
+  event.preventDefault();
+  cancelPdfDialog();
+});
+transitionModeSelect.addEventListener("change", () => {
+  applyTransition({ ...transitionSettings, mode: transitionModeSelect.value });
+});
+transitionDurationInput.addEventListener("change", () => {
+  applyTransition({ ...transitionSettings, duration: transitionDurationInput.value });
+});
+textCreateBtn.addEventListener("click", () => { void createTextSlides(); });
+textRestyleBtn.addEventListener("click", () => { void restyleSelectedTextSlides(); });
+textCancelEditBtn.addEventListener("click", () => {
+  setTextEditing(null);
+  textLinesInput.value = "";
+  restoreTextStyleSetting();
+});
+[
+  overlayEnabledInput,
+  overlayModeSelect,
+  overlayPhrasesInput,
+  overlayPositionSelect,
+  overlayOpacityInput,
+  overlayFontSelect,
+  overlaySizeInput,
+  overlayColorInput,
+  overlayImageScaleInput,
+  overlayCycleInput
+].forEach(input => {
+  input.addEventListener("change", () => {
+    applyOverlaySettings(readOverlaySettings());
+  });
+});
+[audioLoopInput, audioVolumeInput, audioFadeInInput, audioFadeOutInput].forEach(input => {
+  input.addEventListener("change", () => {
+    applyAudioSettings(readAudioSettings());
+  });
+});
+audioAddBtn.addEventListener("click", () => {
+  audioInput.value = "";
+  audioInput.click();
+});
+audioInput.addEventListener("change", async () => {
+  const files = Array.from(audioInput.files || []).filter(isAudioFile);
+  let added = 0;
+  for (const file of files) {
+    added += await addAudioFile(file);
+  }
+  audioInput.value = "";
+  showStatus(added ? `Added ${added} audio track${added === 1 ? "" : "s"}.` : "No new audio tracks to add.");
+});
+audioList.addEventListener("click", event => {
+  const button = event.target.closest(".audio-remove");
+  const item = button ? button.closest(".audio-item") : null;
+  if (item) {
+    void removeAudioTrack(item.dataset.signature);
+  }
+});
+overlayImageBtn.addEventListener("click", () => overlayImageInput.click());
+overlayImageInput.addEventListener("change", () => {
+  void setOverlayImage(overlayImageInput.files && overlayImageInput.files[0]);
+  overlayImageInput.value = "";
+});
+overlayImageClearBtn.addEventListener("click", () => {
+  overlaySettings.image = null;
+  applyOverlaySettings(readOverlaySettings());
+});
+[textFontSelect, textSizeInput, textColorInput, textBackgroundInput].forEach(input => {
+  input.addEventListener("change", () => {
+    if (!editingTextSignature) {
+      applyTextStyle(readTextStyle());
+    }
+  });
+});
+animationCancelBtn.addEventListener("click", cancelAnimationExport);
 
-document.addEventListener("paste", async event => {
-  const files = collectFilesFromDataTransfer(event.clipboardData);
-  if (!files.length) {
+galleryList.addEventListener("change", event => {
+  const item = event.target.closest(".gallery-item");
+  if (!item) {
     return;
   }
-  event.preventDefault();
-  const result = await addFiles(files);
-  const messages = [];
-  if (result.added > 0) {
-    let message = `Added ${result.added} slide${result.added === 1 ? "" : "s"} from the clipboard.`;
-    if (result.packageSlidesAdded > 0) {
-      message += ` (${result.packageSlidesAdded} from saved package${result.packageSlidesAdded === 1 ? "" : "s"}.)`;
+  const { signature } = item.dataset;
+  if (event.target.classList.contains("gallery-select")) {
+    if (event.target.checked) {
+      selectedSignatures.add(signature);
+    } else {
+      selectedSignatures.delete(signature);
     }
-    messages.push(message);
+    item.classList.toggle("selected", event.target.checked);
+    updateGalleryControls();
+  } else if (event.target.classList.contains("gallery-label")) {
+    const entry = imageEntries.find(item => item.signature === signature);
+    if (!event.target.value.trim() && entry) {
+      event.target.value = entry.label || "";
+      return;
+    }
+    void renameEntry(signature, event.target.value);
+  } else if (event.target.classList.contains("gallery-duration")) {
+    const duration = normalizeDuration(event.target.value);
+    event.target.value = duration === null ? "" : String(duration);
+    void setEntryDurations([signature], duration);
+  } else if (event.target.classList.contains("gallery-weight")) {
+    const weight = normalizeWeight(event.target.value);
+    event.target.value = String(weight);
+    void setEntryWeight(signature, weight);
   }
-  if (result.supported > 0 && result.added === 0 && !result.pdfUnsupported) {
-    messages.push("Everything from the clipboard is already added.");
+});
+
+galleryList.addEventListener("click", event => {
+  const button = event.target.closest(".gallery-edit");
+  const item = button ? button.closest(".gallery-item") : null;
+  if (item) {
+    editTextSlide(item.dataset.signature);
   }
-  if (result.packageErrors > 0) {
-    messages.push("Some saved packages could not be read.");
+});
+
+galleryList.addEventListener("keydown", event => {
+  const item = event.target.closest(".gallery-item");
+  if (!item || !event.altKey || (event.key !== "ArrowUp" && event.key !== "ArrowDown")) {
+    return;
   }
-  if (result.packagesProcessed > 0 && result.packageSlidesAdded === 0) {
-    if (result.packageSlidesTotal > 0) {
-      messages.push("Saved package already loaded.");
-    } else {
-      messages.push("Saved package contained no slides.");
+  event.preventDefault();
+  const { signature } = item.dataset;
+  const index = imageEntries.findIndex(entry => entry.signature === signature);
+  if (moveEntry(signature, index + (event.key === "ArrowUp" ? -1 : 1))) {
+    renderGallery();
+    const moved = galleryList.querySelector(`[data-signature="${CSS.escape(signature)}"] .gallery-label`);
+    if (moved) {
+      moved.focus();
     }
+    void persistActivePlaylist();
   }
-  if (result.pdfUnsupported > 0) {
-    messages.push("PDF support is not available in this browser.");
+});
+
+galleryList.addEventListener("dragstart", event => {
+  const item = event.target.closest(".gallery-item");
+  if (!item) {
+    return;
   }
-  if (result.unsupported > 0) {
-    messages.push(`The clipboard held ${result.unsupported} unsupported file${result.unsupported === 1 ? '' : 's'}.`);
+  draggedSignature = item.dataset.signature;
+  item.classList.add("dragging");
+  event.dataTransfer.effectAllowed = "move";
+  event.dataTransfer.setData("application/x-lightning-slide", draggedSignature);
+});
+
+galleryList.addEventListener("dragover", event => {
+  if (!draggedSignature) {
+    return;
+  }
+  const item = event.target.closest(".gallery-item");
+  event.preventDefault();
+  event.dataTransfer.dropEffect = "move";
+  galleryList.querySelectorAll(".drop-before, .drop-after").forEach(node => node.classList.remove("drop-before", "drop-after"));
+  if (item && item.dataset.signature !== draggedSignature) {
+    const rect = item.getBoundingClientRect();
+    const after = event.clientY > rect.top + rect.height / 2;
+    item.classList.add(after ? "drop-after" : "drop-before");
+  }
+});
+
+galleryList.addEventListener("drop", event => {
+  if (!draggedSignature) {
+    return;
+  }
+  event.preventDefault();
+  const item = event.target.closest(".gallery-item");
+  if (!item || item.dataset.signature === draggedSignature) {
+    return;
+  }
+  const fromIndex = imageEntries.findIndex(entry => entry.signature === draggedSignature);
+  let targetIndex = imageEntries.findIndex(entry => entry.signature === item.dataset.signature);
+  if (item.classList.contains("drop-after")) {
+    targetIndex += 1;
+  }
+  if (fromIndex < targetIndex) {
+    targetIndex -= 1;
+  }
+  if (moveEntry(draggedSignature, targetIndex)) {
+    renderGallery();
+    void persistActivePlaylist();
+  }
+});
+
+galleryList.addEventListener("dragend", () => {
+  draggedSignature = null;
+  galleryList.querySelectorAll(".dragging, .drop-before, .drop-after").forEach(node => {
+    node.classList.remove("dragging", "drop-before", "drop-after");
+  });
+});
+
+gallerySelectAllBtn.addEventListener("click", toggleSelectAll);
+playlistSelect.addEventListener("change", () => { void switchPlaylist(playlistSelect.value); });
+playlistNewBtn.addEventListener("click", () => { void createPlaylist(); });
+playlistRenameBtn.addEventListener("click", () => { void renameActivePlaylist(); });
+playlistDeleteBtn.addEventListener("click", () => { void deleteActivePlaylist(); });
+galleryDeleteBtn.addEventListener("click", () => { void deleteSelectedEntries(); });
+galleryApplyDurationBtn.addEventListener("click", () => {
+  const duration = normalizeDuration(galleryDurationInput.value);
+  if (duration === null) {
+    galleryDurationInput.focus();
+    return;
+  }
+  void applyDurationToSelection(duration);
+});
+galleryClearDurationBtn.addEventListener("click", () => { void applyDurationToSelection(null); });
+timingDownloadBtn.addEventListener("click", downloadTimingReport);
+historyPanel.addEventListener("toggle", () => {
+  if (historyPanel.open) {
+    void renderHistory();
+  }
+});
+historyCsvBtn.addEventListener("click", () => { void downloadHistory("csv"); });
+historyJsonBtn.addEventListener("click", () => { void downloadHistory("json"); });
+historyClearBtn.addEventListener("click", () => { void clearHistory(); });
+
+delayRange.addEventListener("input", syncDelayFromRange);
+orderSelect.addEventListener("change", () => applyOrderMode(orderSelect.value));
+delayInput.addEventListener("input", syncDelayFromInput);
+
+document.addEventListener("paste", async event => {
+  const files = collectFilesFromDataTransfer(event.clipboardData);
+  if (!files.length) {
+    const urls = isEditableTarget(event.target) ? [] : getDataTransferUrls(event.clipboardData);
+    if (urls.length) {
+      event.preventDefault();
+      await importUrls(urls);
+    }
+    return;
   }
-  showStatus(messages.join(" ") || "Found no supported files in the clipboard.");
+  event.preventDefault();
+  await importClipboardFiles(files);
 });
 
 if (pasteBtn) {
@@ -916,9 +6222,14 @@ if (pasteBtn) {
       try {
         const items = await navigator.clipboard.read();
         const clipboardFiles = [];
+        let clipboardText = "";
         let index = 0;
         for (const item of items) {
           for (const type of item.types) {
+            if (type === "text/uri-list" || type === "text/plain") {
+              clipboardText += `\n${await (await item.getType(type)).text()}`;
+              continue;
+            }
             const isImage = type.startsWith("image/");
             const isPdf = type === "application/pdf";
             if (!isImage && !isPdf) {
@@ -936,35 +6247,16 @@ if (pasteBtn) {
         }
 
         if (!clipboardFiles.length) {
-          showStatus("Found no supported files in the clipboard.");
+          const urls = parseImportUrls(clipboardText);
+          if (urls.length) {
+            await importUrls(urls);
+          } else {
+            showStatus("Found no supported files in the clipboard.");
+          }
           return;
         }
 
-        const result = await addFiles(clipboardFiles);
-        const messages = [];
-        if (result.added > 0) {
-          let message = `Added ${result.added} slide${result.added === 1 ? "" : "s"} from the clipboard.`;
-          if (result.packageSlidesAdded > 0) {
-            message += ` (${result.packageSlidesAdded} from saved package${result.packageSlidesAdded === 1 ? "" : "s"}.)`;
-          }
-          messages.push(message);
-        }
-        if (result.supported > 0 && result.added === 0 && !result.pdfUnsupported) {
-          messages.push("Everything from the clipboard is already added.");
-        }
-        if (result.packageErrors > 0) {
-          messages.push("Some saved packages could not be read.");
-        }
-        if (result.packagesProcessed > 0 && result.packageSlidesAdded === 0) {
-          messages.push("Saved package already loaded.");
-        }
-        if (result.pdfUnsupported > 0) {
-          messages.push("PDF support is not available in this browser.");
-        }
-        if (result.unsupported > 0) {
-          messages.push(`The clipboard held ${result.unsupported} unsupported file${result.unsupported === 1 ? '' : 's'}.`);
-        }
-        showStatus(messages.join(" ") || "Found no supported files in the clipboard.");
+        await importClipboardFiles(clipboardFiles);
       } catch (err) {
         console.warn("Could not read the clipboard", err);
         showStatus("Could not read the clipboard. Allow access and try again.");
@@ -976,7 +6268,54 @@ if (pasteBtn) {
 document.addEventListener("keydown", event => {
   if (event.key === "Escape") {
     stopSlideshow();
+    return;
+  }
+  if (!isRunning) {
+    return;
+  }
+
+  const delayStep = event.shiftKey ? 100 : 10;
+  switch (event.key) {
+    case " ":
+      togglePause();
+      break;
+    case "ArrowRight":
+      stepSlideshow(1);
+      break;
+    case "ArrowLeft":
+      stepSlideshow(-1);
+      break;
+    case "ArrowUp":
+    case "+":
+      adjustDelay(delayStep);
+      break;
+    case "ArrowDown":
+    case "-":
+      adjustDelay(-delayStep);
+      break;
+    case "o":
+    case "O":
+      toggleOverlay();
+      break;
+    case "c":
+    case "C":
+      toggleCountdown();
+      break;
+    default:
+      return;
+  }
+  event.preventDefault();
+});
+
+stage.addEventListener("pointermove", showStageInfo);
+
+window.addEventListener("resize", () => {
+  if (!isRunning) {
+    return;
   }
+  resizeStageCanvas();
+  stageTransition = null;
+  drawStageFrame();
 });
 
 window.addEventListener("beforeunload", () => {
@@ -989,9 +6328,19 @@ window.addEventListener("beforeunload", () => {
   }
 });
 restoreDelaySetting();
-restorePersistedSlides().catch(error => {
+restoreOrderSetting();
+restoreTransitionSetting();
+restoreAudioSetting();
+restoreSessionSetting();
+restoreImportSetting();
+restorePdfSetting();
+restoreTextStyleSetting();
+restoreOverlaySetting();
+const slidesRestored = restorePersistedSlides().catch(error => {
   console.warn("Could not restore saved slides", error);
 });
+void refreshStorageEstimate();
+receiveSharedItems();
 
 if ("serviceWorker" in navigator) {
   window.addEventListener("load", () => {
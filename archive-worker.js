@@ -0,0 +1,269 @@
+﻿// Unpacks ZIP and CBZ archives off the main thread. Stored entries are sliced
+// straight out of the archive; deflated ones go through the inflater below.
+//   { id, type: "open", file }
+// is answered with { id, entries: [{ index, name, size, supported }] }, then each
+//   { id, type: "extract", index, mimeType }
+// with { id, blob }. Failures come back as { id, error }.
+
+import { crc32, getZipEntryData, readZipEntries } from "./zip.js";
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let fixedTables = null;
+
+// Builds a lookup table indexed by the next `bits` input bits (least
+// significant first). Each slot holds (symbol << 4) | code length; 0 marks a
+// bit pattern that no code starts with.
+function buildHuffmanTable(lengths) {
+  const counts = new Uint16Array(16);
+  let bits = 0;
+  for (const length of lengths) {
+    if (length) {
+      counts[length] += 1;
+      bits = Math.max(bits, length);
+    }
+  }
+  const nextCode = new Uint16Array(16);
+  for (let length = 1, code = 0; length < 16; length += 1) {
+    code = (code + counts[length - 1]) << 1;
+    nextCode[length] = code;
+  }
+
+  const size = 1 << bits;
+  const table = new Uint32Array(size);
+  lengths.forEach((length, symbol) => {
+    if (!length) {
+      return;
+    }
+    let code = nextCode[length];
+    nextCode[length] += 1;
+    let reversed = 0;
+    for (let bit = 0; bit < length; bit += 1) {
+      reversed = (reversed << 1) | (code & 1);
+      code >>= 1;
+    }
+    for (let slot = reversed; slot < size; slot += 1 << length) {
+      table[slot] = (symbol << 4) | length;
+    }
+  });
+  return { table, bits };
+}
+
+function getFixedTables() {
+  if (!fixedTables) {
+    const literals = new Uint8Array(288);
+    literals.fill(8, 0, 144);
+    literals.fill(9, 144, 256);
+    literals.fill(7, 256, 280);
+    literals.fill(8, 280, 288);
+    fixedTables = {
+      literals: buildHuffmanTable(literals),
+      distances: buildHuffmanTable(new Uint8Array(30).fill(5))
+    };
+  }
+  return fixedTables;
+}
+
+// Decodes a raw DEFLATE stream (RFC 1951) into exactly `size` bytes.
+function inflate(input, size) {
+  const output = new Uint8Array(size);
+  let outputPosition = 0;
+  let inputPosition = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const need = count => {
+    while (bitCount < count) {
+      // Past the end the stream is padded with zeros; a valid stream never
+      // consumes them, and a truncated one fails a later check.
+      const byte = inputPosition < input.length ? input[inputPosition] : 0;
+      inputPosition += 1;
+      bitBuffer |= byte << bitCount;
+      bitCount += 8;
+    }
+  };
+  const readBits = count => {
+    if (!count) {
+      return 0;
+    }
+    need(count);
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+  const readSymbol = ({ table, bits }) => {
+    need(bits);
+    const entry = table[bitBuffer & ((1 << bits) - 1)];
+    if (!entry) {
+      throw new Error("Corrupt compressed data.");
+    }
+    const length = entry & 15;
+    bitBuffer >>>= length;
+    bitCount -= length;
+    return entry >>> 4;
+  };
+
+  const readDynamicTables = () => {
+    const literalCount = readBits(5) + 257;
+    const distanceCount = readBits(5) + 1;
+    const codeLengthCount = readBits(4) + 4;
+    const codeLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i += 1) {
+      codeLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+    }
+    const codeLengthTable = buildHuffmanTable(codeLengths);
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    for (let i = 0; i < lengths.length;) {
+      const symbol = readSymbol(codeLengthTable);
+      if (symbol < 16) {
+        lengths[i] = symbol;
+        i += 1;
+        continue;
+      }
+      let repeat;
+      let value = 0;
+      if (symbol === 16) {
+        if (!i) {
+          throw new Error("Corrupt compressed data.");
+        }
+        value = lengths[i - 1];
+        repeat = 3 + readBits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + readBits(3);
+      } else {
+        repeat = 11 + readBits(7);
+      }
+      if (i + repeat > lengths.length) {
+        throw new Error("Corrupt compressed data.");
+      }
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+    return {
+      literals: buildHuffmanTable(lengths.subarray(0, literalCount)),
+      distances: buildHuffmanTable(lengths.subarray(literalCount))
+    };
+  };
+
+  let finalBlock = false;
+  while (!finalBlock) {
+    finalBlock = readBits(1) === 1;
+    const type = readBits(2);
+
+    if (type === 0) {
+      // Stored block: drop to the byte boundary and copy LEN bytes.
+      readBits(bitCount & 7);
+      inputPosition -= bitCount >> 3;
+      bitBuffer = 0;
+      bitCount = 0;
+      const length = input[inputPosition] | (input[inputPosition + 1] << 8);
+      const check = input[inputPosition + 2] | (input[inputPosition + 3] << 8);
+      inputPosition += 4;
+      if ((length ^ 0xffff) !== check || inputPosition + length > input.length || outputPosition + length > size) {
+        throw new Error("Corrupt compressed data.");
+      }
+      output.set(input.subarray(inputPosition, inputPosition + length), outputPosition);
+      inputPosition += length;
+      outputPosition += length;
+      continue;
+    }
+    if (type === 3) {
+      throw new Error("Corrupt compressed data.");
+    }
+
+    const { literals, distances } = type === 1 ? getFixedTables() : readDynamicTables();
+    for (;;) {
+      const symbol = readSymbol(literals);
+      if (symbol < 256) {
+        if (outputPosition >= size) {
+          throw new Error("Corrupt compressed data.");
+        }
+        output[outputPosition] = symbol;
+        outputPosition += 1;
+        continue;
+      }
+      if (symbol === 256) {
+        break;
+      }
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= LENGTH_BASE.length) {
+        throw new Error("Corrupt compressed data.");
+      }
+      const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+      const distanceIndex = readSymbol(distances);
+      if (distanceIndex >= DISTANCE_BASE.length) {
+        throw new Error("Corrupt compressed data.");
+      }
+      const distance = DISTANCE_BASE[distanceIndex] + readBits(DISTANCE_EXTRA[distanceIndex]);
+      if (distance > outputPosition || outputPosition + length > size) {
+        throw new Error("Corrupt compressed data.");
+      }
+      // Copies may overlap their own output, so go byte by byte.
+      for (let i = 0; i < length; i += 1) {
+        output[outputPosition] = output[outputPosition - distance];
+        outputPosition += 1;
+      }
+    }
+  }
+
+  if (outputPosition !== size) {
+    throw new Error("Corrupt compressed data.");
+  }
+  return output;
+}
+
+let archive = null;
+
+async function openArchive({ file }) {
+  const entries = await readZipEntries(file);
+  archive = { file, entries };
+  return {
+    entries: entries.map((entry, index) => ({
+      index,
+      name: entry.name,
+      size: entry.size,
+      supported: !(entry.flags & FLAG_ENCRYPTED) && (entry.method === METHOD_STORED || entry.method === METHOD_DEFLATE)
+    }))
+  };
+}
+
+async function extractEntry({ index, mimeType }) {
+  const entry = archive && archive.entries[index];
+  if (!entry) {
+    throw new Error("No such archive entry.");
+  }
+  if (entry.flags & FLAG_ENCRYPTED) {
+    throw new Error(`${entry.name} is encrypted.`);
+  }
+  const data = await getZipEntryData(archive.file, entry, mimeType);
+  if (entry.method === METHOD_STORED) {
+    return { blob: data };
+  }
+  if (entry.method !== METHOD_DEFLATE) {
+    throw new Error(`${entry.name} uses an unsupported compression method.`);
+  }
+  const bytes = inflate(new Uint8Array(await data.arrayBuffer()), entry.size);
+  if (crc32(bytes) !== entry.crc) {
+    throw new Error(`${entry.name} is damaged (checksum mismatch).`);
+  }
+  return { blob: new Blob([bytes], { type: mimeType }) };
+}
+
+self.addEventListener("message", async event => {
+  const { id, type } = event.data;
+  try {
+    const result = type === "open" ? await openArchive(event.data) : await extractEntry(event.data);
+    self.postMessage({ id, ...result });
+  } catch (error) {
+    self.postMessage({ id, error: error && error.message ? error.message : String(error) });
+  }
+});
@@ -0,0 +1,352 @@
+﻿// Splits animated GIF, APNG and WebP images into still frames off the main
+// thread. ImageDecoder does the decoding where the browser has it; otherwise
+// GIFs go through the decoder below and other formats stay single images.
+//   { id, type: "open", blob, mimeType }
+// is answered with { id, frameCount }, then each
+//   { id, type: "frame", index, maxEdge, format, quality }
+// with { id, blob }. Frames are cheapest asked for in order. Failures come back as
+// { id, error }.
+
+let source = null;
+
+// --- GIF ---------------------------------------------------------------------
+
+const INTERLACE_PASSES = [[0, 8], [4, 8], [2, 4], [1, 2]];
+
+function readSubBlocks(bytes, position) {
+  const chunks = [];
+  let length = 0;
+  while (position < bytes.length) {
+    const size = bytes[position];
+    position += 1;
+    if (!size) {
+      break;
+    }
+    chunks.push(bytes.subarray(position, position + size));
+    length += size;
+    position += size;
+  }
+  const data = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return { data, position };
+}
+
+function readPalette(bytes, position, size) {
+  return bytes.subarray(position, position + size * 3);
+}
+
+// Reads the frame layout of a GIF; pixel data stays LZW-compressed until the
+// frame is drawn.
+function parseGif(bytes) {
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  if (signature !== "GIF87a" && signature !== "GIF89a") {
+    throw new Error("Not a GIF image.");
+  }
+  const width = bytes[6] | (bytes[7] << 8);
+  const height = bytes[8] | (bytes[9] << 8);
+  const packed = bytes[10];
+  let position = 13;
+  let globalPalette = null;
+  if (packed & 0x80) {
+    const size = 1 << ((packed & 7) + 1);
+    globalPalette = readPalette(bytes, position, size);
+    position += size * 3;
+  }
+
+  const frames = [];
+  let control = { disposal: 0, transparentIndex: -1 };
+  while (position < bytes.length) {
+    const block = bytes[position];
+    position += 1;
+    if (block === 0x3b) {
+      break;
+    }
+    if (block === 0x21) {
+      const label = bytes[position];
+      position += 1;
+      if (label === 0xf9 && bytes[position] >= 4) {
+        const flags = bytes[position + 1];
+        control = {
+          disposal: (flags >> 2) & 7,
+          transparentIndex: flags & 1 ? bytes[position + 4] : -1
+        };
+      }
+      position = readSubBlocks(bytes, position).position;
+      continue;
+    }
+    if (block !== 0x2c) {
+      throw new Error("Corrupt GIF image.");
+    }
+
+    const frame = {
+      left: bytes[position] | (bytes[position + 1] << 8),
+      top: bytes[position + 2] | (bytes[position + 3] << 8),
+      width: bytes[position + 4] | (bytes[position + 5] << 8),
+      height: bytes[position + 6] | (bytes[position + 7] << 8),
+      interlaced: Boolean(bytes[position + 8] & 0x40),
+      palette: globalPalette,
+      ...control
+    };
+    const framePacked = bytes[position + 8];
+    position += 9;
+    if (framePacked & 0x80) {
+      const size = 1 << ((framePacked & 7) + 1);
+      frame.palette = readPalette(bytes, position, size);
+      position += size * 3;
+    }
+    frame.minCodeSize = bytes[position];
+    const { data, position: next } = readSubBlocks(bytes, position + 1);
+    frame.data = data;
+    position = next;
+    frames.push(frame);
+    control = { disposal: 0, transparentIndex: -1 };
+  }
+  if (!frames.length) {
+    throw new Error("GIF has no frames.");
+  }
+  return { width, height, frames };
+}
+
+function decodeLzw(data, minCodeSize, pixelCount) {
+  const output = new Uint8Array(pixelCount);
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Uint16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  for (let code = 0; code < clearCode; code += 1) {
+    suffix[code] = code;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let first = 0;
+  let buffer = 0;
+  let bits = 0;
+  let position = 0;
+  let written = 0;
+
+  while (written < pixelCount) {
+    while (bits < codeSize) {
+      if (position >= data.length) {
+        // Truncated frames keep what was decoded; the rest stays index 0.
+        return output;
+      }
+      buffer |= data[position] << bits;
+      position += 1;
+      bits += 8;
+    }
+    let code = buffer & codeMask;
+    buffer >>>= codeSize;
+    bits -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      codeMask = (1 << codeSize) - 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) {
+      break;
+    }
+    if (previous === -1) {
+      if (code >= clearCode) {
+        throw new Error("Corrupt GIF image.");
+      }
+      output[written] = code;
+      written += 1;
+      previous = code;
+      first = code;
+      continue;
+    }
+
+    const current = code;
+    let top = 0;
+    if (code >= nextCode) {
+      if (code > nextCode) {
+        throw new Error("Corrupt GIF image.");
+      }
+      stack[top] = first;
+      top += 1;
+      code = previous;
+    }
+    while (code >= clearCode) {
+      stack[top] = suffix[code];
+      top += 1;
+      code = prefix[code];
+    }
+    first = suffix[code];
+    stack[top] = first;
+    top += 1;
+
+    if (nextCode < 4096) {
+      prefix[nextCode] = previous;
+      suffix[nextCode] = first;
+      nextCode += 1;
+      if (!(nextCode & codeMask) && nextCode < 4096) {
+        codeSize += 1;
+        codeMask = (1 << codeSize) - 1;
+      }
+    }
+    previous = current;
+    while (top > 0 && written < pixelCount) {
+      top -= 1;
+      output[written] = stack[top];
+      written += 1;
+    }
+  }
+  return output;
+}
+
+function createGifSource(bytes) {
+  const gif = parseGif(bytes);
+  const canvas = new Uint8ClampedArray(gif.width * gif.height * 4);
+  let drawn = -1;
+  let restore = null;
+
+  const clearRect = frame => {
+    for (let y = frame.top; y < Math.min(gif.height, frame.top + frame.height); y += 1) {
+      const start = (y * gif.width + frame.left) * 4;
+      canvas.fill(0, start, start + Math.max(0, Math.min(frame.width, gif.width - frame.left)) * 4);
+    }
+  };
+
+  const drawFrame = frame => {
+    const indices = decodeLzw(frame.data, frame.minCodeSize, frame.width * frame.height);
+    const rows = [];
+    if (frame.interlaced) {
+      INTERLACE_PASSES.forEach(([start, step]) => {
+        for (let row = start; row < frame.height; row += step) {
+          rows.push(row);
+        }
+      });
+    } else {
+      for (let row = 0; row < frame.height; row += 1) {
+        rows.push(row);
+      }
+    }
+    const palette = frame.palette;
+    rows.forEach((row, sourceRow) => {
+      const y = frame.top + row;
+      if (y >= gif.height) {
+        return;
+      }
+      for (let column = 0; column < frame.width; column += 1) {
+        const x = frame.left + column;
+        const index = indices[sourceRow * frame.width + column];
+        if (x >= gif.width || index === frame.transparentIndex || !palette || index * 3 >= palette.length) {
+          continue;
+        }
+        const target = (y * gif.width + x) * 4;
+        canvas[target] = palette[index * 3];
+        canvas[target + 1] = palette[index * 3 + 1];
+        canvas[target + 2] = palette[index * 3 + 2];
+        canvas[target + 3] = 255;
+      }
+    });
+  };
+
+  return {
+    frameCount: gif.frames.length,
+    async frame(index) {
+      if (index <= drawn) {
+        canvas.fill(0);
+        drawn = -1;
+        restore = null;
+      }
+      while (drawn < index) {
+        if (drawn >= 0) {
+          const previous = gif.frames[drawn];
+          if (previous.disposal === 2) {
+            clearRect(previous);
+          } else if (previous.disposal === 3 && restore) {
+            canvas.set(restore);
+          }
+        }
+        drawn += 1;
+        const frame = gif.frames[drawn];
+        restore = frame.disposal === 3 ? canvas.slice() : null;
+        drawFrame(frame);
+      }
+      return new ImageData(canvas.slice(), gif.width, gif.height);
+    },
+    close() {}
+  };
+}
+
+// --- ImageDecoder ------------------------------------------------------------
+
+async function createDecoderSource(blob, mimeType) {
+  const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type: mimeType });
+  await decoder.tracks.ready;
+  await decoder.completed;
+  const track = decoder.tracks.selectedTrack;
+  return {
+    frameCount: track && track.animated ? track.frameCount : 1,
+    async frame(index) {
+      const { image } = await decoder.decode({ frameIndex: index });
+      return image;
+    },
+    close() {
+      decoder.close();
+    }
+  };
+}
+
+async function openSource({ blob, mimeType }) {
+  if (source) {
+    source.close();
+    source = null;
+  }
+  if (typeof ImageDecoder === "function" && await ImageDecoder.isTypeSupported(mimeType)) {
+    source = await createDecoderSource(blob, mimeType);
+  } else if (mimeType === "image/gif") {
+    source = createGifSource(new Uint8Array(await blob.arrayBuffer()));
+  } else {
+    return { frameCount: 1 };
+  }
+  return { frameCount: source.frameCount };
+}
+
+async function encodeFrame({ index, maxEdge, format, quality }) {
+  if (!source) {
+    throw new Error("No image is open.");
+  }
+  const image = await source.frame(index);
+  const width = image.displayWidth || image.width;
+  const height = image.displayHeight || image.height;
+  const longest = Math.max(width, height);
+  const scale = maxEdge > 0 && longest > maxEdge ? maxEdge / longest : 1;
+  const canvas = new OffscreenCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+  const context = canvas.getContext("2d");
+  if (format === "jpeg") {
+    context.fillStyle = "#000";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  if (image instanceof ImageData) {
+    const bitmap = await createImageBitmap(image);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+  } else {
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close();
+  }
+  return { blob: await canvas.convertToBlob({ type: `image/${format}`, quality: quality / 100 }) };
+}
+
+self.addEventListener("message", async event => {
+  const { id, type } = event.data;
+  try {
+    const result = type === "open" ? await openSource(event.data) : await encodeFrame(event.data);
+    self.postMessage({ id, ...result });
+  } catch (error) {
+    self.postMessage({ id, error: error && error.message ? error.message : String(error) });
+  }
+});
@@ -0,0 +1,35 @@
+﻿// Normalizes imported images off the main thread: applies the EXIF orientation,
+// scales down to a maximum edge and re-encodes with OffscreenCanvas.
+//   { id, blob, maxEdge, type, quality }
+// is answered with { id, blob, width, height, resized } or { id, error }.
+
+async function normalizeImage({ blob, maxEdge, type, quality }) {
+  const bitmap = await createImageBitmap(blob, { imageOrientation: "from-image" });
+  const longest = Math.max(bitmap.width, bitmap.height);
+  const scale = maxEdge > 0 && longest > maxEdge ? maxEdge / longest : 1;
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext("2d");
+  if (type === "image/jpeg") {
+    // JPEG has no alpha; slides are shown on black, so flatten onto black.
+    context.fillStyle = "#000";
+    context.fillRect(0, 0, width, height);
+  }
+  context.imageSmoothingQuality = "high";
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const output = await canvas.convertToBlob({ type, quality: quality / 100 });
+  return { blob: output, width, height, resized: scale < 1 };
+}
+
+self.addEventListener("message", async event => {
+  const { id } = event.data;
+  try {
+    self.postMessage({ id, ...(await normalizeImage(event.data)) });
+  } catch (error) {
+    self.postMessage({ id, error: error && error.message ? error.message : String(error) });
+  }
+});
@@ -0,0 +1,95 @@
+﻿// Renders PDF pages to images off the main thread. PDF.js runs entirely inside
+// this worker (its own worker script is loaded alongside it) and draws onto
+// OffscreenCanvas. One worker handles one document:
+//   { id, type: "open", data }   (data is a transferred ArrayBuffer)
+// is answered with { id, pageCount, fonts }, then each
+//   { id, type: "render", pageNumber, maxEdge, format, quality }
+// with { id, blob, width, height }. Failures come back as { id, error }.
+
+import "./vendor/pdfjs/pdf.min.js";
+import "./vendor/pdfjs/pdf.worker.min.js";
+
+const pdfjsLib = self.pdfjsLib;
+
+const canvasFactory = {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  },
+  reset(target, width, height) {
+    target.canvas.width = width;
+    target.canvas.height = height;
+  },
+  destroy(target) {
+    target.canvas.width = 0;
+    target.canvas.height = 0;
+    target.canvas = null;
+    target.context = null;
+  }
+};
+
+// The DOM filter factory needs a document; pages that use SVG filters are drawn
+// without them instead.
+const filterFactory = {
+  addFilter() {
+    return "none";
+  },
+  addHCMFilter() {
+    return "none";
+  },
+  addHighlightHCMFilter() {
+    return "none";
+  },
+  destroy() {}
+};
+
+// PDF.js only touches `document.fonts` to load embedded fonts, and workers have
+// their own FontFaceSet. Without one, glyphs are drawn as paths and text in
+// fonts the PDF does not embed is lost, so the page renders on the main thread.
+const fontDocument = self.fonts ? { fonts: self.fonts } : undefined;
+
+let pdfDoc = null;
+
+async function openDocument({ data }) {
+  if (pdfDoc) {
+    await pdfDoc.destroy();
+  }
+  pdfDoc = await pdfjsLib.getDocument({
+    data,
+    canvasFactory,
+    filterFactory,
+    ownerDocument: fontDocument,
+    disableFontFace: !fontDocument,
+    useSystemFonts: Boolean(fontDocument)
+  }).promise;
+  return { pageCount: pdfDoc.numPages, fonts: Boolean(fontDocument) };
+}
+
+async function renderPage({ pageNumber, maxEdge, format, quality }) {
+  if (!pdfDoc) {
+    throw new Error("No PDF is open.");
+  }
+  const page = await pdfDoc.getPage(pageNumber);
+  const baseViewport = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: maxEdge / Math.max(baseViewport.width, baseViewport.height) });
+  const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext("2d", { alpha: false });
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+  const blob = await canvas.convertToBlob({ type: `image/${format}`, quality: quality / 100 });
+  return { blob, width: canvas.width, height: canvas.height };
+}
+
+self.addEventListener("message", async event => {
+  // PDF.js talks to itself over the same global port; only answer our requests.
+  const { id, type } = event.data || {};
+  if (typeof id !== "number") {
+    return;
+  }
+  try {
+    const result = type === "open" ? await openDocument(event.data) : await renderPage(event.data);
+    self.postMessage({ id, ...result });
+  } catch (error) {
+    self.postMessage({ id, error: error && error.message ? error.message : String(error) });
+  }
+});
@@ -1,9 +1,15 @@
-﻿const CACHE_NAME = "lightning-slideshow-v6";
+﻿const CACHE_NAME = "lightning-slideshow-v13";
 const ASSETS = [
   "./",
   "./index.html",
   "./style.css",
   "./app.js",
+  "./zip.js",
+  "./animation-worker.js",
+  "./import-worker.js",
+  "./pdf-worker.js",
+  "./archive-worker.js",
+  "./frame-worker.js",
   "./manifest.webmanifest",
   "./icons/icon.svg",
   "./icons/icon-192.png",
@@ -28,7 +34,64 @@ self.addEventListener("activate", event => {
   self.clients.claim();
 });
 
+// Shares from other apps (see share_target in the manifest) are posted to
+// ./share-target. The worker answers with a redirect to the app and holds the
+// shared files until that page asks for them.
+const SHARE_TARGET_URL = new URL("./share-target", self.location).href;
+const SHARE_REDIRECT_URL = new URL("./#share-target", self.location).href;
+const SHARE_HOLD_TIME = 60000;
+const pendingShares = [];
+
+async function readShare(request) {
+  const data = await request.formData();
+  return {
+    files: data.getAll("files").filter(file => file instanceof File && file.size > 0),
+    text: ["title", "text", "url"]
+      .map(name => data.get(name))
+      .filter(value => typeof value === "string" && value)
+      .join("\n")
+  };
+}
+
+// Keeps the worker alive until the page takes the share, or gives up after
+// SHARE_HOLD_TIME.
+function holdShare(share) {
+  return new Promise(resolve => {
+    const pending = { share, resolve };
+    pendingShares.push(pending);
+    setTimeout(() => {
+      const index = pendingShares.indexOf(pending);
+      if (index !== -1) {
+        pendingShares.splice(index, 1);
+      }
+      resolve();
+    }, SHARE_HOLD_TIME);
+  });
+}
+
+self.addEventListener("message", event => {
+  if (!event.data || event.data.type !== "share-ready" || !event.source) {
+    return;
+  }
+  const taken = pendingShares.splice(0);
+  event.source.postMessage({
+    type: "share",
+    files: taken.flatMap(({ share }) => share.files),
+    text: taken.map(({ share }) => share.text).filter(Boolean).join("\n")
+  });
+  taken.forEach(({ resolve }) => resolve());
+});
+
 self.addEventListener("fetch", event => {
+  if (event.request.method === "POST" && event.request.url === SHARE_TARGET_URL) {
+    const share = readShare(event.request);
+    event.waitUntil(share.then(holdShare, error => {
+      console.warn("Could not read shared items", error);
+    }));
+    event.respondWith(share.catch(() => null).then(() => Response.redirect(SHARE_REDIRECT_URL, 303)));
+    return;
+  }
+
   if (event.request.method !== "GET") {
     return;
   }
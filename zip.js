@@ -0,0 +1,203 @@
+﻿// Minimal ZIP support for slideshow packages. Entries are written uncompressed
+// (images are already compressed) one at a time, so a package never has to sit
+// in memory as a whole. Reading goes through the central directory and hands
+// back Blob slices, which the browser reads lazily from disk.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const MAX_UINT32 = 0xffffffff;
+
+let crcTable = null;
+
+function getCrcTable() {
+  if (crcTable) {
+    return crcTable;
+  }
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+}
+
+export function crc32(bytes, previous = 0) {
+  const table = getCrcTable();
+  let crc = previous ^ MAX_UINT32;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ MAX_UINT32) >>> 0;
+}
+
+async function forEachChunk(blob, callback) {
+  if (typeof blob.stream === "function") {
+    const reader = blob.stream().getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+      await callback(value);
+    }
+  }
+  await callback(new Uint8Array(await blob.arrayBuffer()));
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+function localHeader(nameBytes, crc, size, stamp) {
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+  header.setUint16(4, 20, true);
+  header.setUint16(6, UTF8_FLAG, true);
+  header.setUint16(8, 0, true);
+  header.setUint16(10, stamp.time, true);
+  header.setUint16(12, stamp.day, true);
+  header.setUint32(14, crc, true);
+  header.setUint32(18, size, true);
+  header.setUint32(22, size, true);
+  header.setUint16(26, nameBytes.length, true);
+  header.setUint16(28, 0, true);
+  return new Uint8Array(header.buffer);
+}
+
+function centralHeader(entry) {
+  const header = new DataView(new ArrayBuffer(46));
+  header.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+  header.setUint16(4, 20, true);
+  header.setUint16(6, 20, true);
+  header.setUint16(8, UTF8_FLAG, true);
+  header.setUint16(10, 0, true);
+  header.setUint16(12, entry.stamp.time, true);
+  header.setUint16(14, entry.stamp.day, true);
+  header.setUint32(16, entry.crc, true);
+  header.setUint32(20, entry.size, true);
+  header.setUint32(24, entry.size, true);
+  header.setUint16(28, entry.nameBytes.length, true);
+  header.setUint32(42, entry.offset, true);
+  return new Uint8Array(header.buffer);
+}
+
+// `write` receives Uint8Array chunks in file order and may return a promise,
+// e.g. FileSystemWritableFileStream.write.
+export function createZipWriter(write) {
+  const encoder = new TextEncoder();
+  const entries = [];
+  let offset = 0;
+
+  async function emit(chunk) {
+    await write(chunk);
+    offset += chunk.length;
+  }
+
+  async function addFile(name, data) {
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    if (offset + blob.size + 30 > MAX_UINT32) {
+      throw new Error("Package is larger than 4 GB.");
+    }
+    const nameBytes = encoder.encode(name);
+    const stamp = dosDateTime(new Date());
+    let crc = 0;
+    await forEachChunk(blob, chunk => {
+      crc = crc32(chunk, crc);
+    });
+    const entry = { nameBytes, crc, size: blob.size, offset, stamp };
+    await emit(localHeader(nameBytes, crc, blob.size, stamp));
+    await emit(nameBytes);
+    await forEachChunk(blob, emit);
+    entries.push(entry);
+  }
+
+  async function finish() {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      await emit(centralHeader(entry));
+      await emit(entry.nameBytes);
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, offset - directoryOffset, true);
+    end.setUint32(16, directoryOffset, true);
+    await emit(new Uint8Array(end.buffer));
+  }
+
+  return { addFile, finish };
+}
+
+export async function isZipFile(blob) {
+  if (!blob || blob.size < 4) {
+    return false;
+  }
+  const view = new DataView(await blob.slice(0, 4).arrayBuffer());
+  const signature = view.getUint32(0, true);
+  return signature === LOCAL_HEADER_SIGNATURE || signature === END_OF_DIRECTORY_SIGNATURE;
+}
+
+export async function readZipEntries(blob) {
+  const tailSize = Math.min(blob.size, 22 + 0xffff);
+  const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer());
+  let endOffset = -1;
+  for (let i = tailSize - 22; i >= 0; i -= 1) {
+    if (tail.getUint32(i, true) === END_OF_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error("Not a ZIP archive.");
+  }
+
+  const count = tail.getUint16(endOffset + 10, true);
+  const directorySize = tail.getUint32(endOffset + 12, true);
+  const directoryOffset = tail.getUint32(endOffset + 16, true);
+  if (directoryOffset === MAX_UINT32 || count === 0xffff) {
+    throw new Error("ZIP64 archives are not supported.");
+  }
+
+  const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+  const decoder = new TextDecoder("utf-8");
+  const entries = [];
+  let position = 0;
+  for (let i = 0; i < count; i += 1) {
+    if (directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("Corrupt ZIP central directory.");
+    }
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const nameBytes = new Uint8Array(directory.buffer, position + 46, nameLength);
+    entries.push({
+      name: decoder.decode(nameBytes),
+      flags: directory.getUint16(position + 8, true),
+      method: directory.getUint16(position + 10, true),
+      crc: directory.getUint32(position + 16, true),
+      compressedSize: directory.getUint32(position + 20, true),
+      size: directory.getUint32(position + 24, true),
+      localHeaderOffset: directory.getUint32(position + 42, true)
+    });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Returns the entry's raw (possibly compressed) bytes as a lazy Blob slice.
+export async function getZipEntryData(blob, entry, type = "") {
+  const header = new DataView(await blob.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer());
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+  const start = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  return blob.slice(start, start + entry.compressedSize, type);
+}